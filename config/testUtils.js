@@ -0,0 +1,9 @@
+import { act } from 'react-dom/test-utils';
+
+// Wait for requests to settle and the resulting updates to render
+export const sleep = ms =>
+  act(() => new Promise(resolve => setTimeout(resolve, ms)));
+
+// Props passed to the most recent render of the child function
+export const lastCall = mockChildren =>
+  mockChildren.mock.calls[mockChildren.mock.calls.length - 1][0];
@@ -1,16 +1,33 @@
 import React from 'react';
+import ReactDOM from 'react-dom';
 import { configure, shallow, mount } from 'enzyme';
 import Adapter from 'enzyme-adapter-react-16';
 import fetchMock from 'fetch-mock';
 
 fetchMock.config.overwriteRoutes = false;
 
-import Fetch, { SimpleCache } from './';
+import Fetch, { SimpleCache, defaultCacheKey, parseLinkHeader } from './';
 
 configure({ adapter: new Adapter() });
 
 afterEach(fetchMock.restore);
 
+// Resolves with `fetch` after `delay` unless the request's signal is aborted first
+function createAbortableFetch(delay) {
+  return jest.fn(
+    (url, options) =>
+      new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve(fetch(url, options)), delay);
+        options.signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          const error = new Error('The user aborted a request.');
+          error.name = 'AbortError';
+          reject(error);
+        });
+      })
+  );
+}
+
 describe('basic', () => {
   it('sets data on success', async () => {
     const url = 'http://localhost';
@@ -23,7 +40,7 @@ describe('basic', () => {
     const wrapper = mount(<Fetch url={url}>{mockChildren}</Fetch>);
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(3);
@@ -61,7 +78,7 @@ describe('basic', () => {
 
     const wrapper = mount(<Fetch url={url}>{mockChildren}</Fetch>);
     const instance = wrapper.instance();
-    const promises = instance.promises;
+    const promises = instance.fetcher.promises;
     wrapper.unmount();
 
     await Promise.all(promises);
@@ -94,7 +111,7 @@ describe('basic', () => {
     const wrapper = mount(<Fetch url={url}>{mockChildren}</Fetch>);
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(3);
@@ -142,7 +159,7 @@ describe('basic', () => {
     );
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(3);
@@ -192,9 +209,9 @@ describe('fetching', () => {
     const wrapper = mount(<Fetch url={url}>{mockChildren}</Fetch>);
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
     savedProps.fetch();
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial and once for loading, but should not be called when the response is returned
     expect(mockChildren.mock.calls.length).toBe(5);
@@ -246,7 +263,7 @@ describe('fetching', () => {
     const wrapper = mount(<Fetch>{mockChildren}</Fetch>);
     const instance = wrapper.instance();
 
-    expect(instance.promises).toEqual([]);
+    expect(instance.fetcher.promises).toEqual([]);
 
     // // Once for initial, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(1);
@@ -270,7 +287,7 @@ describe('fetching', () => {
     const wrapper = mount(<Fetch url={false}>{mockChildren}</Fetch>);
     const instance = wrapper.instance();
 
-    expect(instance.promises).toEqual([]);
+    expect(instance.fetcher.promises).toEqual([]);
 
     // // Once for initial, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(1);
@@ -322,7 +339,7 @@ describe('fetching', () => {
     );
     const instance = wrapper.instance();
 
-    expect(instance.promises).toEqual([]);
+    expect(instance.fetcher.promises).toEqual([]);
 
     // // Once for initial, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(1);
@@ -384,9 +401,9 @@ describe('fetching', () => {
     );
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises); // no request made
+    await Promise.all(instance.fetcher.promises); // no request made
     savedProps.fetch();
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial and once for loading, but should not be called when the response is returned
     expect(mockChildren.mock.calls.length).toBe(3);
@@ -425,11 +442,11 @@ describe('fetching', () => {
     // Mount component but should not issue request
     const wrapper = mount(<Fetch>{mockChildren}</Fetch>);
     const instance = wrapper.instance();
-    expect(instance.promises).toEqual([]);
+    expect(instance.fetcher.promises).toEqual([]);
 
     // Set url to issue request
     wrapper.setProps({ url });
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for mount, once for the delayed setting of url, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(4);
@@ -479,9 +496,9 @@ describe('fetching', () => {
     const wrapper = mount(<Fetch url={url}>{mockChildren}</Fetch>);
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
     savedProps.fetch(null, { method: 'post' });
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // 1x initial, 2x loading, 2x data
     expect(mockChildren.mock.calls.length).toBe(5);
@@ -542,9 +559,9 @@ describe('fetching', () => {
     const wrapper = mount(<Fetch url={url1}>{mockChildren}</Fetch>);
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
     savedProps.fetch(url2);
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // 1x initial, 2x loading, 2x data
     expect(mockChildren.mock.calls.length).toBe(5);
@@ -624,9 +641,9 @@ describe('fetching', () => {
     savedProps.fetch();
 
     // 2 promises are pending
-    expect(instance.promises.length).toEqual(3);
+    expect(instance.fetcher.promises.length).toEqual(3);
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Would have been 5 if request 1 was not ignored
     expect(mockChildren.mock.calls.length).toBe(6);
@@ -674,7 +691,7 @@ describe('fetching', () => {
     // Request 1's response was ignored
 
     // All promises have been processed / removed
-    expect(instance.promises.length).toEqual(0);
+    expect(instance.fetcher.promises.length).toEqual(0);
 
     expect(fetchMock.called(url)).toBe(true);
   });
@@ -690,9 +707,11 @@ describe('fetching', () => {
     const wrapper = mount(<Fetch url={url} fetchFunction={mockFetch} />);
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
-    expect(mockFetch).toBeCalledWith('http://localhost', undefined);
+    expect(mockFetch).toBeCalledWith('http://localhost', {
+      signal: expect.any(AbortSignal)
+    });
   });
 
   it('supports custom fetch function passed into props with custom debouncing', async () => {
@@ -748,8 +767,8 @@ describe('fetching', () => {
     nonDebouncedInstance.fetch();
     nonDebouncedInstance.fetch();
 
-    await Promise.all(debouncedInstance.promises);
-    await Promise.all(nonDebouncedInstance.promises);
+    await Promise.all(debouncedInstance.fetcher.promises);
+    await Promise.all(nonDebouncedInstance.fetcher.promises);
 
     expect(nonDebouncedFetch).toHaveBeenCalledTimes(4);
     expect(nonDebouncedMockChildren).toHaveBeenCalledTimes(9);
@@ -874,7 +893,7 @@ describe('body passing', () => {
     const wrapper = mount(<Fetch url={url}>{mockChildren}</Fetch>);
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(3);
@@ -916,7 +935,7 @@ describe('body passing', () => {
     const wrapper = mount(<Fetch url={url}>{mockChildren}</Fetch>);
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(3);
@@ -959,7 +978,7 @@ describe('body passing', () => {
     );
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(3);
@@ -1006,7 +1025,7 @@ describe('body passing', () => {
     );
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(3);
@@ -1056,7 +1075,7 @@ it('supports "as" as an object with Content-Type for custom body parsing', async
   );
   const instance = wrapper.instance();
 
-  await Promise.all(instance.promises);
+  await Promise.all(instance.fetcher.promises);
 
   // Once for initial, once for loading, and once for response
   expect(mockChildren.mock.calls.length).toBe(3);
@@ -1095,7 +1114,7 @@ describe('error handling', () => {
     const wrapper = mount(<Fetch url={url}>{mockChildren}</Fetch>);
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(3);
@@ -1136,7 +1155,7 @@ describe('error handling', () => {
     const instance = wrapper.instance();
 
     try {
-      await Promise.all(instance.promises);
+      await Promise.all(instance.fetcher.promises);
       fail('Promise should have rejected');
     } catch (e) {
       expect(e).not.toBeNull();
@@ -1187,9 +1206,9 @@ describe('error handling', () => {
     const wrapper = mount(<Fetch url={url}>{mockChildren}</Fetch>);
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
     savedProps.fetch();
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial and once for loading, but should not be called when the response is returned
     expect(mockChildren.mock.calls.length).toBe(5);
@@ -1245,25 +1264,25 @@ describe('cache', () => {
     const mockChildren = jest.fn();
     mockChildren.mockReturnValue(<div />);
 
-    // First request
+    // First request (a shared cache, since requests in a private `cache` are aborted when the url changes)
     const wrapper = mount(
-      <Fetch url={url1} cache>
+      <Fetch url={url1} cache={new SimpleCache()}>
         {mockChildren}
       </Fetch>
     );
     const instance = wrapper.instance();
-    const promise1 = instance.promises[0];
+    const promise1 = instance.fetcher.promises[0];
 
     // Second request
     wrapper.setProps({ url: url2 });
-    expect(instance.promises.length).toEqual(2);
-    const promise2 = instance.promises[1];
+    expect(instance.fetcher.promises.length).toEqual(2);
+    const promise2 = instance.fetcher.promises[1];
     expect(promise1).not.toBe(promise2);
 
     // Third, should be pulled from cache
     wrapper.setProps({ url: url1 });
-    expect(instance.promises.length).toEqual(3);
-    const promise3 = instance.promises[2];
+    expect(instance.fetcher.promises.length).toEqual(3);
+    const promise3 = instance.fetcher.promises[2];
 
     expect(promise3).toBe(promise1);
     expect(promise3).not.toBe(promise2);
@@ -1271,7 +1290,7 @@ describe('cache', () => {
     expect(fetchMock.calls(url1).length).toBe(1);
     expect(fetchMock.calls(url2).length).toBe(1);
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // TODO: not sure why 8 rerendered, would expect 7 (initial + 3x loading + 3x data)
     expect(mockChildren.mock.calls.length).toBe(8);
@@ -1331,7 +1350,7 @@ describe('cache', () => {
     });
 
     // All promises have been processed
-    expect(instance.promises.length).toEqual(0);
+    expect(instance.fetcher.promises.length).toEqual(0);
   });
 
   it('cache not shared between instances by default', async () => {
@@ -1348,7 +1367,7 @@ describe('cache', () => {
       </Fetch>
     );
     const instance1 = wrapper1.instance();
-    const promise1 = instance1.promises[0];
+    const promise1 = instance1.fetcher.promises[0];
 
     // Second request/instance
     const mockChildren2 = jest.fn();
@@ -1359,14 +1378,14 @@ describe('cache', () => {
       </Fetch>
     );
     const instance2 = wrapper2.instance();
-    const promise2 = instance2.promises[0];
+    const promise2 = instance2.fetcher.promises[0];
 
     expect(promise1).not.toBe(promise2);
 
     // Should be called by both instances
     expect(fetchMock.calls(url).length).toBe(2);
 
-    await Promise.all(instance1.promises);
+    await Promise.all(instance1.fetcher.promises);
 
     // Instance1
     expect(mockChildren1.mock.calls.length).toBe(3);
@@ -1385,7 +1404,7 @@ describe('cache', () => {
       response: {}
     });
     // All promises have been processed
-    expect(instance1.promises.length).toEqual(0);
+    expect(instance1.fetcher.promises.length).toEqual(0);
 
     // Instance2
     expect(mockChildren2.mock.calls.length).toBe(3);
@@ -1404,7 +1423,7 @@ describe('cache', () => {
       response: {}
     });
     // All promises have been processed
-    expect(instance2.promises.length).toEqual(0);
+    expect(instance2.fetcher.promises.length).toEqual(0);
   });
 
   it('should support passing a shared cache to multiple instances', async () => {
@@ -1422,7 +1441,7 @@ describe('cache', () => {
       </Fetch>
     );
     const instance1 = wrapper1.instance();
-    const promise1 = instance1.promises[0];
+    const promise1 = instance1.fetcher.promises[0];
 
     // Second request/instance
     const mockChildren2 = jest.fn();
@@ -1433,7 +1452,7 @@ describe('cache', () => {
       </Fetch>
     );
     const instance2 = wrapper2.instance();
-    const promise2 = instance2.promises[0];
+    const promise2 = instance2.fetcher.promises[0];
 
     // Should be the same instance
     expect(promise1).toBe(promise2);
@@ -1442,7 +1461,7 @@ describe('cache', () => {
     expect(fetchMock.calls(url).length).toBe(1);
 
     // Instance1
-    await Promise.all(instance1.promises);
+    await Promise.all(instance1.fetcher.promises);
     expect(mockChildren1.mock.calls.length).toBe(3);
     expect(mockChildren1.mock.calls[0][0]).toMatchObject({
       loading: null,
@@ -1459,10 +1478,10 @@ describe('cache', () => {
       response: {}
     });
     // All promises have been processed
-    expect(instance1.promises.length).toEqual(0);
+    expect(instance1.fetcher.promises.length).toEqual(0);
 
     // Instance2
-    await Promise.all(instance2.promises);
+    await Promise.all(instance2.fetcher.promises);
     expect(mockChildren2.mock.calls.length).toBe(2);
     expect(mockChildren2.mock.calls[0][0]).toMatchObject({
       loading: null,
@@ -1475,7 +1494,7 @@ describe('cache', () => {
       response: {}
     });
     // All promises have been processed
-    expect(instance2.promises.length).toEqual(0);
+    expect(instance2.fetcher.promises.length).toEqual(0);
   });
 });
 
@@ -1491,7 +1510,7 @@ describe('children', () => {
     const wrapper = mount(<Fetch url={url} />);
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     expect(fetchMock.called(url)).toBe(true);
   });
@@ -1508,7 +1527,7 @@ describe('children', () => {
     );
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
     // Once for initial, once for loading, and once for response
     expect(wrapper.find('div').length).toBe(1);
 
@@ -1530,7 +1549,7 @@ describe('children', () => {
   );
   const instance = wrapper.instance();
 
-  await Promise.all(instance.promises);
+  await Promise.all(instance.fetcher.promises);
   // Once for initial, once for loading, and once for response
   expect(wrapper.find('div').length).toBe(2);
 
@@ -1548,7 +1567,7 @@ describe('onChange', () => {
     const wrapper = mount(<Fetch url={url} onChange={mockOnChange} />);
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     expect(mockOnChange.mock.calls.length).toBe(3);
 
@@ -1582,7 +1601,7 @@ describe('onChange', () => {
 
     const wrapper = mount(<Fetch url={url} onChange={mockOnChange} />);
     const instance = wrapper.instance();
-    const promises = instance.promises;
+    const promises = instance.fetcher.promises;
     wrapper.unmount();
 
     await Promise.all(promises);
@@ -1627,7 +1646,7 @@ describe('onDataChange', () => {
     );
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(3);
@@ -1679,7 +1698,7 @@ describe('onDataChange', () => {
     );
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial, once for loading, and once for response
     expect(mockOnChange.mock.calls.length).toBe(3);
@@ -1724,7 +1743,7 @@ describe('onDataChange', () => {
     );
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(3);
@@ -1770,7 +1789,7 @@ describe('onDataChange', () => {
     );
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(3);
@@ -1824,18 +1843,18 @@ describe('onDataChange', () => {
       </Fetch>
     );
     const instance = wrapper.instance();
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Fetch request #2
     savedProps.fetch();
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Fetch request #3
     savedProps.fetch();
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // All promises are resolved
-    expect(instance.promises.length).toEqual(0);
+    expect(instance.fetcher.promises.length).toEqual(0);
 
     // Would have been 5 if request 1 was not ignored
     expect(mockChildren.mock.calls.length).toBe(7);
@@ -1889,7 +1908,7 @@ describe('onDataChange', () => {
     });
 
     // All promises have been processed / removed
-    expect(instance.promises.length).toEqual(0);
+    expect(instance.fetcher.promises.length).toEqual(0);
 
     expect(fetchMock.called(url)).toBe(true);
   });
@@ -1923,18 +1942,18 @@ describe('onDataChange', () => {
       </Fetch>
     );
     const instance = wrapper.instance();
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Fetch request #2
     savedProps.fetch();
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Fetch request #3
     savedProps.fetch();
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // All promises are resolved
-    expect(instance.promises.length).toEqual(0);
+    expect(instance.fetcher.promises.length).toEqual(0);
 
     // Would have been 5 if request 1 was not ignored
     expect(mockChildren.mock.calls.length).toBe(7);
@@ -1988,7 +2007,7 @@ describe('onDataChange', () => {
     });
 
     // All promises have been processed / removed
-    expect(instance.promises.length).toEqual(0);
+    expect(instance.fetcher.promises.length).toEqual(0);
 
     expect(fetchMock.called(url)).toBe(true);
   });
@@ -2022,18 +2041,18 @@ describe('onDataChange', () => {
       </Fetch>
     );
     const instance = wrapper.instance();
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Fetch request #2
     savedProps.fetch();
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Fetch request #3
     savedProps.fetch();
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // All promises are resolved
-    expect(instance.promises.length).toEqual(0);
+    expect(instance.fetcher.promises.length).toEqual(0);
 
     // Would have been 5 if request 1 was not ignored
     expect(mockChildren.mock.calls.length).toBe(7);
@@ -2087,7 +2106,7 @@ describe('onDataChange', () => {
     });
 
     // All promises have been processed / removed
-    expect(instance.promises.length).toEqual(0);
+    expect(instance.fetcher.promises.length).toEqual(0);
 
     expect(fetchMock.called(url)).toBe(true);
   });
@@ -2129,10 +2148,10 @@ describe('onDataChange', () => {
     savedProps.fetch(url, null, { ignorePreviousData: true });
 
     // Wait for all requests to return before asserting
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // All promises are resolved
-    expect(instance.promises.length).toEqual(0);
+    expect(instance.fetcher.promises.length).toEqual(0);
 
     // Would have been 5 if request 1 was not ignored
     expect(mockChildren.mock.calls.length).toBe(7);
@@ -2186,7 +2205,7 @@ describe('onDataChange', () => {
     });
 
     // All promises have been processed / removed
-    expect(instance.promises.length).toEqual(0);
+    expect(instance.fetcher.promises.length).toEqual(0);
 
     expect(fetchMock.called(url)).toBe(true);
   });
@@ -2226,28 +2245,28 @@ describe('onDataChange', () => {
       </Fetch>
     );
     const instance = wrapper.instance();
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Fetch request #2
     savedProps.fetch();
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Fetch request #3
     savedProps.fetch();
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     savedProps.clearData();
 
     // Fetch request #4
     savedProps.fetch();
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Fetch request #5
     savedProps.fetch();
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // All promises are resolved
-    expect(instance.promises.length).toEqual(0);
+    expect(instance.fetcher.promises.length).toEqual(0);
 
     expect(mockChildren.mock.calls.length).toBe(12);
 
@@ -2336,7 +2355,7 @@ describe('onDataChange', () => {
     });
 
     // All promises have been processed / removed
-    expect(instance.promises.length).toEqual(0);
+    expect(instance.fetcher.promises.length).toEqual(0);
 
     expect(fetchMock.called(url)).toBe(true);
   });
@@ -2359,7 +2378,7 @@ describe('middleware', () => {
     const wrapper = mount(<Fetch url={url}>{middleware}</Fetch>);
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(3);
@@ -2405,7 +2424,7 @@ describe('middleware', () => {
     const wrapper = mount(<Fetch url={url}>{middleware}</Fetch>);
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(3);
@@ -2447,7 +2466,7 @@ describe('middleware', () => {
     const wrapper = mount(<Fetch url={url}>{middleware}</Fetch>);
     const instance = wrapper.instance();
 
-    await Promise.all(instance.promises);
+    await Promise.all(instance.fetcher.promises);
 
     // Once for initial, once for loading, and once for response
     expect(mockChildren.mock.calls.length).toBe(3);
@@ -2476,6 +2495,2417 @@ describe('middleware', () => {
   });
 });
 
+describe('abort', () => {
+  it('passes an AbortSignal to the fetch function', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    fetchMock.once(url, data);
+
+    const mockFetch = jest.fn();
+    mockFetch.mockImplementation(fetch);
+
+    const options = { headers: { 'Cache-Control': 'no-cache' } };
+    const wrapper = mount(
+      <Fetch url={url} options={options} fetchFunction={mockFetch} />
+    );
+    const instance = wrapper.instance();
+
+    await Promise.all(instance.fetcher.promises);
+
+    const fetchOptions = mockFetch.mock.calls[0][1];
+    expect(fetchOptions).toMatchObject(options);
+    expect(fetchOptions.signal).toBeInstanceOf(AbortSignal);
+    expect(fetchOptions.signal.aborted).toBe(false);
+
+    // Signal is not leaked into the `request` passed to children
+    expect(instance.state.request.options).toBe(options);
+  });
+
+  it('aborts outstanding requests once a later response is returned', async () => {
+    const url1 = 'http://localhost/1';
+    fetchMock.once(url1, { response: 1 });
+    const url2 = 'http://localhost/2';
+    fetchMock.once(url2, { response: 2 });
+
+    const mockFetch = jest
+      .fn()
+      .mockImplementationOnce(createAbortableFetch(300))
+      .mockImplementationOnce(createAbortableFetch(10));
+
+    const mockChildren = jest.fn().mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <Fetch url={url1} fetchFunction={mockFetch}>
+        {mockChildren}
+      </Fetch>
+    );
+    const instance = wrapper.instance();
+    instance.fetch(url2);
+
+    await Promise.all(instance.fetcher.promises);
+
+    const signal1 = mockFetch.mock.calls[0][1].signal;
+    const signal2 = mockFetch.mock.calls[1][1].signal;
+    expect(signal1.aborted).toBe(true);
+    expect(signal2.aborted).toBe(false);
+
+    // Initial, loading request 1, loading request 2, and data from request 2
+    expect(mockChildren.mock.calls.length).toBe(4);
+    expect(mockChildren.mock.calls[3][0]).toMatchObject({
+      loading: false,
+      data: { response: 2 }
+    });
+    expect(fetchMock.called(url1)).toBe(false);
+    expect(instance.fetcher.controllers.length).toBe(0);
+  });
+
+  it('aborts in-flight requests when url changes', async () => {
+    const url1 = 'http://localhost/foo';
+    const url2 = 'http://localhost/bar';
+    const data2 = { name: 'bar' };
+    fetchMock.get(url2, data2);
+
+    const mockFetch = createAbortableFetch(100);
+    const mockChildren = jest.fn().mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <Fetch url={url1} fetchFunction={mockFetch}>
+        {mockChildren}
+      </Fetch>
+    );
+    const instance = wrapper.instance();
+    const promises = instance.fetcher.promises.slice();
+
+    wrapper.setProps({ url: url2 });
+    promises.push(...instance.fetcher.promises);
+
+    await Promise.all(promises);
+
+    expect(mockFetch.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(fetchMock.called(url1)).toBe(false);
+    expect(fetchMock.called(url2)).toBe(true);
+
+    const lastCall =
+      mockChildren.mock.calls[mockChildren.mock.calls.length - 1];
+    expect(lastCall[0]).toMatchObject({
+      loading: false,
+      data: data2,
+      request: { url: url2 }
+    });
+  });
+
+  it('aborts in-flight requests when unmounted', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { hello: 'world' });
+
+    const mockFetch = createAbortableFetch(100);
+    const mockChildren = jest.fn().mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <Fetch url={url} fetchFunction={mockFetch}>
+        {mockChildren}
+      </Fetch>
+    );
+    const instance = wrapper.instance();
+    const promises = instance.fetcher.promises;
+    wrapper.unmount();
+
+    // Aborted requests resolve instead of rejecting
+    await Promise.all(promises);
+
+    expect(mockFetch.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(fetchMock.called(url)).toBe(false);
+    expect(mockChildren.mock.calls.length).toBe(2);
+  });
+
+  it('does not abort in-flight requests when unmounted if "onChange" is set', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    fetchMock.once(url, data);
+
+    const mockFetch = createAbortableFetch(10);
+    const mockOnChange = jest.fn();
+
+    const wrapper = mount(
+      <Fetch url={url} fetchFunction={mockFetch} onChange={mockOnChange} />
+    );
+    const instance = wrapper.instance();
+    const promises = instance.fetcher.promises;
+    wrapper.unmount();
+
+    await Promise.all(promises);
+
+    expect(mockFetch.mock.calls[0][1].signal.aborted).toBe(false);
+    expect(mockOnChange.mock.calls[2][0]).toMatchObject({
+      loading: false,
+      data
+    });
+  });
+
+  it('does not abort requests shared through the cache when unmounted', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    fetchMock.once(url, data);
+
+    const sharedCache = new SimpleCache();
+    const mockFetch = createAbortableFetch(10);
+
+    const wrapper = mount(
+      <Fetch url={url} fetchFunction={mockFetch} cache={sharedCache} />
+    );
+    const promise = wrapper.instance().fetcher.promises[0];
+    wrapper.unmount();
+
+    expect(await promise).toMatchObject({ loading: false, data });
+    expect(mockFetch.mock.calls[0][1].signal.aborted).toBe(false);
+    expect(sharedCache.get(url)).toBe(promise);
+  });
+
+  it('aborts requests stored in a private cache when the url changes or unmounted', async () => {
+    const url1 = 'http://localhost/foo';
+    const url2 = 'http://localhost/bar';
+    fetchMock.get(url2, { name: 'bar' });
+
+    const mockFetch = createAbortableFetch(100);
+
+    const wrapper = mount(
+      <Fetch url={url1} fetchFunction={mockFetch} cache={true} />
+    );
+    const instance = wrapper.instance();
+    const promises = instance.fetcher.promises.slice();
+
+    wrapper.setProps({ url: url2 });
+    promises.push(...instance.fetcher.promises);
+    expect(mockFetch.mock.calls[0][1].signal.aborted).toBe(true);
+    // Aborted request is not left in the cache
+    expect(instance.fetcher.cache.get(url1)).toBeUndefined();
+
+    wrapper.unmount();
+    expect(mockFetch.mock.calls[1][1].signal.aborted).toBe(true);
+
+    await Promise.all(promises);
+    expect(fetchMock.called()).toBe(false);
+  });
+
+  it('supports aborting requests by calling "abort"', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { hello: 'world' });
+
+    const sharedCache = new SimpleCache();
+    const mockFetch = createAbortableFetch(100);
+
+    let savedProps = null;
+    const mockChildren = jest.fn(props => {
+      savedProps = props;
+      return <div />;
+    });
+
+    const wrapper = mount(
+      <Fetch url={url} fetchFunction={mockFetch} cache={sharedCache}>
+        {mockChildren}
+      </Fetch>
+    );
+    const instance = wrapper.instance();
+    const promise = instance.fetcher.promises[0];
+
+    savedProps.abort();
+    await promise;
+
+    expect(mockFetch.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(instance.fetcher.promises.length).toBe(0);
+    expect(fetchMock.called(url)).toBe(false);
+
+    // Aborted request is not left in the cache
+    expect(sharedCache.get(url)).toBeUndefined();
+
+    // Initial, loading, and aborted
+    expect(mockChildren.mock.calls.length).toBe(3);
+    expect(mockChildren.mock.calls[2][0]).toMatchObject({ loading: false });
+    expect(mockChildren.mock.calls[2][0].data).toBeUndefined();
+  });
+
+  it('aborts when a signal passed in options is aborted', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { hello: 'world' });
+
+    const mockFetch = createAbortableFetch(100);
+    const controller = new AbortController();
+
+    const wrapper = mount(
+      <Fetch
+        url={url}
+        options={{ signal: controller.signal }}
+        fetchFunction={mockFetch}
+      />
+    );
+    const instance = wrapper.instance();
+    const promise = instance.fetcher.promises[0];
+
+    controller.abort();
+    await promise;
+
+    expect(mockFetch.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(fetchMock.called(url)).toBe(false);
+  });
+});
+
+describe('retry', () => {
+  it('does not retry by default', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { status: 503, body: { Error: 'BOOM!' } });
+
+    const mockFetch = jest.fn().mockImplementation(fetch);
+
+    const wrapper = mount(<Fetch url={url} fetchFunction={mockFetch} />);
+    const instance = wrapper.instance();
+
+    await Promise.all(instance.fetcher.promises);
+
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+    expect(instance.state).toMatchObject({
+      loading: false,
+      error: { Error: 'BOOM!' },
+      retryCount: 0
+    });
+  });
+
+  it('retries failed responses up to "retry" times', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    fetchMock.once(url, 503);
+    fetchMock.once(url, 502);
+    fetchMock.once(url, data);
+
+    const mockChildren = jest.fn().mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <Fetch url={url} retry={3} retryDelay={1}>
+        {mockChildren}
+      </Fetch>
+    );
+    const instance = wrapper.instance();
+
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(3);
+
+    // Initial, loading, retry 1, retry 2, and data loaded
+    expect(mockChildren.mock.calls.length).toBe(5);
+    expect(mockChildren.mock.calls[1][0]).toMatchObject({
+      loading: true,
+      retryCount: 0,
+      nextRetryAt: null
+    });
+    expect(mockChildren.mock.calls[2][0]).toMatchObject({
+      loading: true,
+      retryCount: 1,
+      nextRetryAt: expect.any(Number)
+    });
+    expect(mockChildren.mock.calls[3][0]).toMatchObject({
+      loading: true,
+      retryCount: 2,
+      nextRetryAt: expect.any(Number)
+    });
+    expect(mockChildren.mock.calls[4][0]).toMatchObject({
+      loading: false,
+      data,
+      retryCount: 2,
+      nextRetryAt: null
+    });
+  });
+
+  it('sets error once retries are exhausted', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, { status: 500, body: { Error: 'BOOM!' } });
+
+    const wrapper = mount(<Fetch url={url} retry={2} retryDelay={1} />);
+    const instance = wrapper.instance();
+
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(3);
+    expect(instance.state).toMatchObject({
+      loading: false,
+      error: { Error: 'BOOM!' },
+      retryCount: 2,
+      nextRetryAt: null
+    });
+  });
+
+  it('retries request errors with no response', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    fetchMock.once(url, data);
+
+    const mockFetch = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(new TypeError('Failed')))
+      .mockImplementation(fetch);
+
+    const wrapper = mount(
+      <Fetch url={url} fetchFunction={mockFetch} retry={1} retryDelay={1} />
+    );
+    const instance = wrapper.instance();
+
+    await Promise.all(instance.fetcher.promises);
+
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+    expect(instance.state).toMatchObject({ loading: false, data });
+  });
+
+  it('uses exponential backoff for "retryDelay"', () => {
+    const wrapper = mount(<Fetch retryDelay={20} />);
+    const instance = wrapper.instance();
+
+    // Jitter keeps each delay between half and the full backoff
+    [20, 40, 80].forEach((delay, attempt) => {
+      for (let i = 0; i < 10; i++) {
+        const retryDelay = instance.fetcher.getRetryDelay(attempt);
+        expect(retryDelay).toBeGreaterThanOrEqual(delay / 2);
+        expect(retryDelay).toBeLessThanOrEqual(delay);
+      }
+    });
+  });
+
+  it('supports "retryDelay" as a function', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, 503);
+
+    const mockRetryDelay = jest.fn().mockReturnValue(1);
+
+    const wrapper = mount(
+      <Fetch url={url} retry={2} retryDelay={mockRetryDelay} />
+    );
+    const instance = wrapper.instance();
+
+    await Promise.all(instance.fetcher.promises);
+
+    expect(mockRetryDelay).toHaveBeenCalledTimes(2);
+    expect(mockRetryDelay.mock.calls[0][0]).toBe(0);
+    expect(mockRetryDelay.mock.calls[0][2]).toMatchObject({ status: 503 });
+    expect(mockRetryDelay.mock.calls[1][0]).toBe(1);
+  });
+
+  it('does not retry status codes other than "retryOn"', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, 503);
+
+    const wrapper = mount(
+      <Fetch url={url} retry={2} retryDelay={1} retryOn={[502]} />
+    );
+    const instance = wrapper.instance();
+
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(1);
+  });
+
+  it('does not retry client errors by default', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, 404);
+
+    const wrapper = mount(<Fetch url={url} retry={2} retryDelay={1} />);
+    const instance = wrapper.instance();
+
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(1);
+  });
+
+  it('does not retry non-idempotent methods by default', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, 503);
+
+    const wrapper = mount(
+      <Fetch url={url} options={{ method: 'POST' }} retry={2} retryDelay={1} />
+    );
+    const instance = wrapper.instance();
+
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(1);
+  });
+
+  it('supports "retryOn" as an object', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, 503);
+
+    const mockFetch = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(new TypeError('Failed')))
+      .mockImplementation(fetch);
+
+    const wrapper = mount(
+      <Fetch
+        url={url}
+        options={{ method: 'POST' }}
+        fetchFunction={mockFetch}
+        retry={5}
+        retryDelay={1}
+        retryOn={{ method: ['POST'], error: false }}
+      />
+    );
+    const instance = wrapper.instance();
+
+    await Promise.all(instance.fetcher.promises).catch(() => {});
+
+    // Request error is not retried, even though POST is allowed
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+    expect(instance.state.error).toBeInstanceOf(TypeError);
+  });
+
+  it('supports "retryOn" as a function', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, 503);
+
+    const mockRetryOn = jest.fn(attempt => attempt < 1);
+
+    const wrapper = mount(
+      <Fetch url={url} retry={5} retryDelay={1} retryOn={mockRetryOn} />
+    );
+    const instance = wrapper.instance();
+
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(2);
+    expect(mockRetryOn).toHaveBeenCalledTimes(2);
+    expect(mockRetryOn.mock.calls[0][2]).toMatchObject({ status: 503 });
+    expect(mockRetryOn.mock.calls[0][3]).toMatchObject({ url });
+  });
+
+  it('stops waiting to retry when aborted', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, 503);
+
+    const wrapper = mount(<Fetch url={url} retry={1} retryDelay={1000} />);
+    const instance = wrapper.instance();
+    const promise = instance.fetcher.promises[0];
+
+    // Wait until the retry is scheduled
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(instance.state.retryCount).toBe(1);
+
+    instance.abort();
+    await promise;
+
+    expect(fetchMock.calls(url).length).toBe(1);
+    expect(instance.state).toMatchObject({ loading: false });
+  });
+});
+
+describe('polling', () => {
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  function setDocumentHidden(hidden) {
+    Object.defineProperty(document, 'hidden', {
+      configurable: true,
+      get: () => hidden
+    });
+    document.dispatchEvent(new Event('visibilitychange'));
+  }
+
+  afterEach(() => {
+    delete document.hidden;
+  });
+
+  it('refetches every "pollInterval" milliseconds', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    fetchMock.mock(url, data);
+
+    const wrapper = mount(<Fetch url={url} pollInterval={20} />);
+
+    await sleep(70);
+    wrapper.unmount();
+
+    // Initial request and at least one poll (depending on timing)
+    expect(fetchMock.calls(url).length).toBeGreaterThan(1);
+  });
+
+  it('requests a fresh response when polling with a "cache"', async () => {
+    const url = 'http://localhost';
+    let count = 0;
+    fetchMock.mock(url, () => ({ count: ++count }));
+
+    const sharedCache = new SimpleCache();
+    const wrapper = mount(
+      <Fetch url={url} cache={sharedCache} pollInterval={20} />
+    );
+
+    await sleep(70);
+    wrapper.unmount();
+
+    expect(fetchMock.calls(url).length).toBeGreaterThan(1);
+    // The cache is refreshed with the latest response
+    expect(await sharedCache.get(url)).toMatchObject({
+      data: { count: fetchMock.calls(url).length }
+    });
+  });
+
+  it('keeps polling after a request stored by another component settles', async () => {
+    const url = 'http://localhost/job';
+    fetchMock.mock(url, { state: 'running' });
+
+    const sharedCache = new SimpleCache();
+    const wrapper = mount(
+      <Fetch url={url} cache={sharedCache} pollInterval={40} />
+    );
+
+    // A slower request for the same key, stored while the first request is pending
+    sharedCache.set(
+      url,
+      new Promise(resolve =>
+        setTimeout(
+          () => resolve({ loading: false, data: { state: 'done' } }),
+          60
+        )
+      )
+    );
+
+    await sleep(200);
+    wrapper.unmount();
+
+    // Initial request and polls once the stored request settled
+    expect(fetchMock.calls(url).length).toBeGreaterThan(2);
+  });
+
+  it('does not poll while a request is in flight', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(
+      url,
+      new Promise(resolve => setTimeout(() => resolve({ hello: 'world' }), 200))
+    );
+
+    const wrapper = mount(<Fetch url={url} pollInterval={10} />);
+    const instance = wrapper.instance();
+
+    await sleep(40);
+    expect(fetchMock.calls(url).length).toBe(1);
+    expect(instance.fetcher.pollTimer).toBe(null);
+
+    await Promise.all(instance.fetcher.promises);
+    await sleep(0);
+    expect(instance.fetcher.pollTimer).not.toBe(null);
+
+    wrapper.unmount();
+  });
+
+  it('stops polling when unmounted', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, { hello: 'world' });
+
+    const wrapper = mount(<Fetch url={url} pollInterval={10} />);
+    const instance = wrapper.instance();
+
+    await Promise.all(instance.fetcher.promises);
+    await sleep(0);
+    wrapper.unmount();
+
+    expect(instance.fetcher.pollTimer).toBe(null);
+    await sleep(30);
+    expect(fetchMock.calls(url).length).toBe(1);
+  });
+
+  it('stops polling after an error unless "pollOnError" is set', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, 500);
+
+    const wrapper = mount(<Fetch url={url} pollInterval={10} />);
+    await sleep(40);
+    wrapper.unmount();
+    expect(fetchMock.calls(url).length).toBe(1);
+
+    fetchMock.reset();
+
+    const pollOnErrorWrapper = mount(
+      <Fetch url={url} pollInterval={10} pollOnError />
+    );
+    await sleep(40);
+    pollOnErrorWrapper.unmount();
+    expect(fetchMock.calls(url).length).toBeGreaterThan(1);
+  });
+
+  it('pauses polling while the document is hidden unless "pollWhileHidden" is set', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, { hello: 'world' });
+
+    setDocumentHidden(true);
+
+    const wrapper = mount(<Fetch url={url} pollInterval={10} />);
+    await sleep(40);
+    expect(fetchMock.calls(url).length).toBe(1);
+
+    // Polls immediately once visible
+    setDocumentHidden(false);
+    expect(fetchMock.calls(url).length).toBe(2);
+    wrapper.unmount();
+
+    fetchMock.reset();
+    setDocumentHidden(true);
+
+    const pollWhileHiddenWrapper = mount(
+      <Fetch url={url} pollInterval={10} pollWhileHidden />
+    );
+    await sleep(40);
+    pollWhileHiddenWrapper.unmount();
+    expect(fetchMock.calls(url).length).toBeGreaterThan(1);
+  });
+
+  it('supports "startPolling" and "stopPolling"', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, { hello: 'world' });
+
+    let savedProps = null;
+    const mockChildren = jest.fn(props => {
+      savedProps = props;
+      return <div />;
+    });
+
+    const wrapper = mount(<Fetch url={url}>{mockChildren}</Fetch>);
+    const instance = wrapper.instance();
+
+    await Promise.all(instance.fetcher.promises);
+    await sleep(30);
+    expect(fetchMock.calls(url).length).toBe(1);
+
+    savedProps.startPolling(10);
+    await sleep(30);
+    const count = fetchMock.calls(url).length;
+    expect(count).toBeGreaterThan(1);
+
+    savedProps.stopPolling();
+    await Promise.all(instance.fetcher.promises);
+    await sleep(30);
+    expect(fetchMock.calls(url).length).toBe(count);
+
+    wrapper.unmount();
+  });
+
+  it('starts and stops polling when "pollInterval" changes', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, { hello: 'world' });
+
+    const wrapper = mount(<Fetch url={url} />);
+    const instance = wrapper.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    wrapper.setProps({ pollInterval: 10 });
+    await sleep(30);
+    const count = fetchMock.calls(url).length;
+    expect(count).toBeGreaterThan(1);
+
+    wrapper.setProps({ pollInterval: undefined });
+    await Promise.all(instance.fetcher.promises);
+    await sleep(30);
+    expect(fetchMock.calls(url).length).toBe(count);
+
+    wrapper.unmount();
+  });
+});
+
+describe('cachePolicy', () => {
+  it('defaults to "cache-first"', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { hello: 'world' });
+
+    const sharedCache = new SimpleCache();
+
+    const wrapper1 = mount(<Fetch url={url} cache={sharedCache} />);
+    await Promise.all(wrapper1.instance().fetcher.promises);
+
+    const wrapper2 = mount(<Fetch url={url} cache={sharedCache} />);
+    await Promise.all(wrapper2.instance().fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(1);
+  });
+
+  it('renders cached data and then updates from the network with "cache-and-network"', async () => {
+    const url = 'http://localhost';
+    const data1 = { version: 1 };
+    const data2 = { version: 2 };
+    fetchMock.once(url, data1);
+    fetchMock.once(url, data2);
+
+    const sharedCache = new SimpleCache();
+
+    const wrapper1 = mount(<Fetch url={url} cache={sharedCache} />);
+    await Promise.all(wrapper1.instance().fetcher.promises);
+
+    const mockChildren = jest.fn().mockReturnValue(<div />);
+    const wrapper2 = mount(
+      <Fetch url={url} cache={sharedCache} cachePolicy="cache-and-network">
+        {mockChildren}
+      </Fetch>
+    );
+    const instance = wrapper2.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(2);
+
+    // Initial (cached data), revalidating, cached data, and fresh data
+    expect(mockChildren.mock.calls.length).toBe(4);
+
+    // Cached data is rendered before mounting
+    expect(mockChildren.mock.calls[0][0]).toMatchObject({
+      loading: false,
+      data: data1,
+      isStale: true,
+      revalidating: true
+    });
+
+    // Revalidating does not show a loading state
+    expect(mockChildren.mock.calls[1][0]).toMatchObject({
+      loading: false,
+      revalidating: true
+    });
+
+    // Stale data from cache
+    expect(mockChildren.mock.calls[2][0]).toMatchObject({
+      loading: false,
+      data: data1,
+      isStale: true,
+      revalidating: true
+    });
+
+    // Fresh data from network
+    expect(mockChildren.mock.calls[3][0]).toMatchObject({
+      loading: false,
+      data: data2,
+      isStale: false,
+      revalidating: false
+    });
+
+    // Fresh response is stored in the cache
+    expect(await sharedCache.get(url)).toMatchObject({ data: data2 });
+  });
+
+  it('keeps stale data if revalidation fails with "cache-and-network"', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    const error = { Error: 'BOOM!' };
+    fetchMock.once(url, data);
+    fetchMock.once(url, { status: 500, body: error });
+
+    const sharedCache = new SimpleCache();
+
+    const wrapper1 = mount(<Fetch url={url} cache={sharedCache} />);
+    await Promise.all(wrapper1.instance().fetcher.promises);
+
+    const wrapper2 = mount(
+      <Fetch url={url} cache={sharedCache} cachePolicy="cache-and-network" />
+    );
+    const instance = wrapper2.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(instance.state).toMatchObject({
+      loading: false,
+      data,
+      error,
+      isStale: true,
+      revalidating: false
+    });
+  });
+
+  it('requests normally with "cache-and-network" if nothing is cached', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    fetchMock.once(url, data);
+
+    const mockChildren = jest.fn().mockReturnValue(<div />);
+    const wrapper = mount(
+      <Fetch url={url} cache cachePolicy="cache-and-network">
+        {mockChildren}
+      </Fetch>
+    );
+    await Promise.all(wrapper.instance().fetcher.promises);
+
+    expect(mockChildren.mock.calls.length).toBe(3);
+    expect(mockChildren.mock.calls[1][0]).toMatchObject({
+      loading: true,
+      revalidating: false
+    });
+    expect(mockChildren.mock.calls[2][0]).toMatchObject({
+      loading: false,
+      data,
+      isStale: false
+    });
+  });
+
+  it('does not read from the cache with "network-only" but stores the response', async () => {
+    const url = 'http://localhost';
+    const data1 = { version: 1 };
+    const data2 = { version: 2 };
+    fetchMock.once(url, data1);
+    fetchMock.once(url, data2);
+
+    const sharedCache = new SimpleCache();
+
+    const wrapper1 = mount(<Fetch url={url} cache={sharedCache} />);
+    await Promise.all(wrapper1.instance().fetcher.promises);
+
+    const wrapper2 = mount(
+      <Fetch url={url} cache={sharedCache} cachePolicy="network-only" />
+    );
+    const instance = wrapper2.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(2);
+    expect(instance.state).toMatchObject({ loading: false, data: data2 });
+    expect(await sharedCache.get(url)).toMatchObject({ data: data2 });
+  });
+
+  it('does not request with "cache-only"', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    fetchMock.once(url, data);
+
+    const sharedCache = new SimpleCache();
+
+    // Nothing cached
+    const mockChildren = jest.fn().mockReturnValue(<div />);
+    const wrapper1 = mount(
+      <Fetch url={url} cache={sharedCache} cachePolicy="cache-only">
+        {mockChildren}
+      </Fetch>
+    );
+    expect(wrapper1.instance().fetcher.promises.length).toBe(0);
+    expect(fetchMock.called(url)).toBe(false);
+    expect(mockChildren.mock.calls[1][0]).toMatchObject({
+      loading: false,
+      request: { url }
+    });
+
+    // Populate cache
+    const wrapper2 = mount(<Fetch url={url} cache={sharedCache} />);
+    await Promise.all(wrapper2.instance().fetcher.promises);
+
+    const wrapper3 = mount(
+      <Fetch url={url} cache={sharedCache} cachePolicy="cache-only" />
+    );
+    const instance = wrapper3.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(1);
+    expect(instance.state).toMatchObject({ loading: false, data });
+  });
+});
+
+describe('cacheErrors', () => {
+  it('does not replay failed responses from the cache', async () => {
+    const url = 'http://localhost';
+    const error = { Error: 'BOOM!' };
+    const data = { hello: 'world' };
+    fetchMock.once(url, { status: 500, body: error });
+    fetchMock.once(url, data);
+
+    const sharedCache = new SimpleCache();
+
+    const wrapper1 = mount(<Fetch url={url} cache={sharedCache} />);
+    const instance1 = wrapper1.instance();
+    await Promise.all(instance1.fetcher.promises);
+    expect(instance1.state).toMatchObject({ loading: false, error });
+
+    const wrapper2 = mount(<Fetch url={url} cache={sharedCache} />);
+    const instance2 = wrapper2.instance();
+    await Promise.all(instance2.fetcher.promises);
+    expect(instance2.state).toMatchObject({ loading: false, data });
+
+    expect(fetchMock.calls(url).length).toBe(2);
+  });
+
+  it('supports keeping failed responses with "cacheErrors" prop', async () => {
+    const url = 'http://localhost';
+    const error = { Error: 'BOOM!' };
+    fetchMock.once(url, { status: 500, body: error });
+
+    const sharedCache = new SimpleCache();
+
+    const wrapper1 = mount(<Fetch url={url} cache={sharedCache} cacheErrors />);
+    await Promise.all(wrapper1.instance().fetcher.promises);
+
+    const wrapper2 = mount(<Fetch url={url} cache={sharedCache} />);
+    const instance2 = wrapper2.instance();
+    await Promise.all(instance2.fetcher.promises);
+    expect(instance2.state).toMatchObject({ loading: false, error });
+
+    expect(fetchMock.calls(url).length).toBe(1);
+  });
+
+  it('renders request errors kept by "cacheErrors"', async () => {
+    const url = 'http://localhost';
+    const error = new TypeError('Failed to fetch');
+    const fetchFunction = jest.fn(() => Promise.reject(error));
+
+    const sharedCache = new SimpleCache({ cacheErrors: 60000 });
+
+    const wrapper1 = mount(
+      <Fetch url={url} cache={sharedCache} fetchFunction={fetchFunction} />
+    );
+    await Promise.all(wrapper1.instance().fetcher.promises).catch(() => {});
+
+    const wrapper2 = mount(
+      <Fetch url={url} cache={sharedCache} fetchFunction={fetchFunction} />
+    );
+    const instance2 = wrapper2.instance();
+    await Promise.all(instance2.fetcher.promises).catch(() => {});
+
+    expect(instance2.state).toMatchObject({ loading: false, error });
+    expect(fetchFunction).toHaveBeenCalledTimes(1);
+  });
+
+  it('renders request errors of a shared pending request', async () => {
+    const url = 'http://localhost';
+    const error = new TypeError('Failed to fetch');
+    const fetchFunction = jest.fn(
+      () => new Promise((resolve, reject) => setTimeout(() => reject(error)))
+    );
+
+    const sharedCache = new SimpleCache();
+
+    const wrapper1 = mount(
+      <Fetch url={url} cache={sharedCache} fetchFunction={fetchFunction} />
+    );
+    const wrapper2 = mount(
+      <Fetch url={url} cache={sharedCache} fetchFunction={fetchFunction} />
+    );
+    const instance2 = wrapper2.instance();
+    await Promise.all(instance2.fetcher.promises).catch(() => {});
+
+    expect(wrapper1.instance().state).toMatchObject({ loading: false, error });
+    expect(instance2.state).toMatchObject({ loading: false, error });
+    expect(fetchFunction).toHaveBeenCalledTimes(1);
+  });
+
+  it('passes "cacheErrors" to the cache', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { hello: 'world' });
+
+    const cache = { get: jest.fn(), set: jest.fn(), remove: jest.fn() };
+
+    const wrapper = mount(<Fetch url={url} cache={cache} cacheErrors={1000} />);
+    await Promise.all(wrapper.instance().fetcher.promises);
+
+    expect(cache.set).toBeCalledWith(url, expect.any(Promise), {
+      cacheErrors: 1000
+    });
+  });
+});
+
+describe('cacheKey', () => {
+  it('keys simple GET requests by url', () => {
+    const url = 'http://localhost';
+    expect(defaultCacheKey(url)).toBe(url);
+    expect(defaultCacheKey(url, { method: 'get' })).toBe(url);
+  });
+
+  it('includes method and a stable serialization of the body', () => {
+    const url = 'http://localhost';
+    expect(defaultCacheKey(url, { method: 'PUT', body: '{"a":1}' })).not.toBe(
+      defaultCacheKey(url, { method: 'PUT', body: '{"a":2}' })
+    );
+    expect(defaultCacheKey(url, { method: 'PUT' })).not.toBe(
+      defaultCacheKey(url, { method: 'DELETE' })
+    );
+    expect(
+      defaultCacheKey(url, { method: 'PUT', body: { a: 1, b: [1, 2] } })
+    ).toBe(defaultCacheKey(url, { method: 'PUT', body: { b: [1, 2], a: 1 } }));
+    expect(
+      defaultCacheKey(url, {
+        method: 'PUT',
+        body: new URLSearchParams('a=1&b=2')
+      })
+    ).toBe(defaultCacheKey(url, { method: 'PUT', body: 'a=1&b=2' }));
+  });
+
+  it('returns null for bodies which can not be serialized', () => {
+    const url = 'http://localhost';
+    expect(
+      defaultCacheKey(url, { method: 'PUT', body: new ArrayBuffer(8) })
+    ).toBe(null);
+  });
+
+  it('only serves GET, HEAD and OPTIONS requests from the cache by default', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, { hello: 'world' });
+
+    const sharedCache = new SimpleCache();
+
+    for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+      const options = { method, body: '{}' };
+
+      const wrapper1 = mount(
+        <Fetch url={url} options={options} cache={sharedCache} />
+      );
+      await Promise.all(wrapper1.instance().fetcher.promises);
+
+      const wrapper2 = mount(
+        <Fetch url={url} options={options} cache={sharedCache} />
+      );
+      await Promise.all(wrapper2.instance().fetcher.promises);
+    }
+
+    expect(fetchMock.calls(url).length).toBe(8);
+    expect(sharedCache.keys.length).toBe(0);
+
+    for (const method of ['GET', 'HEAD', 'OPTIONS']) {
+      const wrapper1 = mount(
+        <Fetch url={url} options={{ method }} cache={sharedCache} />
+      );
+      await Promise.all(wrapper1.instance().fetcher.promises);
+
+      const wrapper2 = mount(
+        <Fetch url={url} options={{ method }} cache={sharedCache} />
+      );
+      await Promise.all(wrapper2.instance().fetcher.promises);
+    }
+
+    expect(fetchMock.calls(url).length).toBe(11);
+    expect(sharedCache.keys.length).toBe(3);
+  });
+
+  it('supports caching POST requests by body with "cacheUnsafeMethods"', async () => {
+    const url = 'http://localhost';
+    fetchMock.post(url, { hello: 'world' });
+
+    const sharedCache = new SimpleCache();
+
+    const mountWithBody = body =>
+      mount(
+        <Fetch
+          url={url}
+          options={{ method: 'POST', body }}
+          cache={sharedCache}
+          cacheUnsafeMethods
+        />
+      );
+
+    const wrapper1 = mountWithBody('{"query":1}');
+    await Promise.all(wrapper1.instance().fetcher.promises);
+
+    const wrapper2 = mountWithBody('{"query":2}');
+    await Promise.all(wrapper2.instance().fetcher.promises);
+
+    const wrapper3 = mountWithBody('{"query":1}');
+    await Promise.all(wrapper3.instance().fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(2);
+  });
+
+  it('includes request headers listed in the "Vary" response header', async () => {
+    const url = 'http://localhost/vary';
+    fetchMock.get(url, {
+      body: { hello: 'world' },
+      headers: { Vary: 'Accept-Language' }
+    });
+
+    const sharedCache = new SimpleCache();
+
+    const mountWithLanguage = language =>
+      mount(
+        <Fetch
+          url={url}
+          options={{ headers: { 'Accept-Language': language } }}
+          cache={sharedCache}
+        />
+      );
+
+    // First response is stored before the `Vary` header is known
+    const wrapper1 = mountWithLanguage('en');
+    await Promise.all(wrapper1.instance().fetcher.promises);
+
+    const wrapper2 = mountWithLanguage('fr');
+    await Promise.all(wrapper2.instance().fetcher.promises);
+    expect(fetchMock.calls(url).length).toBe(2);
+
+    const wrapper3 = mountWithLanguage('fr');
+    await Promise.all(wrapper3.instance().fetcher.promises);
+    expect(fetchMock.calls(url).length).toBe(2);
+
+    expect(
+      defaultCacheKey(url, { headers: { 'accept-language': 'fr' } })
+    ).not.toBe(defaultCacheKey(url, { headers: { 'accept-language': 'en' } }));
+  });
+
+  it('ignores "Vary" headers which the request does not set', async () => {
+    const url = 'http://localhost/vary-encoding';
+    fetchMock.get(url, {
+      body: { hello: 'world' },
+      headers: { Vary: 'Accept-Encoding' }
+    });
+
+    const sharedCache = new SimpleCache();
+
+    const wrapper1 = mount(<Fetch url={url} cache={sharedCache} />);
+    await Promise.all(wrapper1.instance().fetcher.promises);
+
+    const wrapper2 = mount(<Fetch url={url} cache={sharedCache} />);
+    await Promise.all(wrapper2.instance().fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(1);
+    expect(sharedCache.keys).toEqual([url]);
+    expect(defaultCacheKey(url)).toBe(url);
+  });
+
+  it('supports custom "cacheKey"', async () => {
+    const url1 = 'http://localhost/foo?ignored=1';
+    const url2 = 'http://localhost/foo?ignored=2';
+    fetchMock.get('begin:http://localhost/foo', { hello: 'world' });
+
+    const sharedCache = new SimpleCache();
+    const cacheKey = jest.fn(url => url.split('?')[0]);
+
+    const wrapper1 = mount(
+      <Fetch url={url1} cache={sharedCache} cacheKey={cacheKey} />
+    );
+    await Promise.all(wrapper1.instance().fetcher.promises);
+
+    const wrapper2 = mount(
+      <Fetch url={url2} cache={sharedCache} cacheKey={cacheKey} />
+    );
+    await Promise.all(wrapper2.instance().fetcher.promises);
+
+    expect(fetchMock.calls().length).toBe(1);
+    expect(cacheKey).toBeCalledWith(url2, undefined);
+    expect(sharedCache.keys).toEqual(['http://localhost/foo']);
+  });
+
+  it('does not use the cache if "cacheKey" returns null', async () => {
+    const url = 'http://localhost';
+    fetchMock.get(url, { hello: 'world' });
+
+    const sharedCache = new SimpleCache();
+
+    const wrapper1 = mount(
+      <Fetch url={url} cache={sharedCache} cacheKey={() => null} />
+    );
+    await Promise.all(wrapper1.instance().fetcher.promises);
+
+    const wrapper2 = mount(
+      <Fetch url={url} cache={sharedCache} cacheKey={() => null} />
+    );
+    await Promise.all(wrapper2.instance().fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(2);
+  });
+});
+
+describe('dedupe', () => {
+  it('shares in-flight requests between instances', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    fetchMock.once(url, data);
+
+    const mockChildren1 = jest.fn().mockReturnValue(<div />);
+    const wrapper1 = mount(
+      <Fetch url={url} dedupe>
+        {mockChildren1}
+      </Fetch>
+    );
+    const mockChildren2 = jest.fn().mockReturnValue(<div />);
+    const wrapper2 = mount(
+      <Fetch url={url} as="text" dedupe>
+        {mockChildren2}
+      </Fetch>
+    );
+
+    await Promise.all([
+      ...wrapper1.instance().fetcher.promises,
+      ...wrapper2.instance().fetcher.promises
+    ]);
+
+    expect(fetchMock.calls(url).length).toBe(1);
+
+    // Each instance can read (and parse) the body
+    expect(mockChildren1.mock.calls[2][0]).toMatchObject({
+      loading: false,
+      data
+    });
+    expect(mockChildren2.mock.calls[2][0]).toMatchObject({
+      loading: false,
+      data: JSON.stringify(data)
+    });
+  });
+
+  it('does not share requests by default', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, { hello: 'world' });
+
+    const wrapper1 = mount(<Fetch url={url} />);
+    const wrapper2 = mount(<Fetch url={url} />);
+
+    await Promise.all([
+      ...wrapper1.instance().fetcher.promises,
+      ...wrapper2.instance().fetcher.promises
+    ]);
+
+    expect(fetchMock.calls(url).length).toBe(2);
+  });
+
+  it('does not share requests once returned', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, { hello: 'world' });
+
+    const wrapper1 = mount(<Fetch url={url} dedupe />);
+    await Promise.all(wrapper1.instance().fetcher.promises);
+
+    const wrapper2 = mount(<Fetch url={url} dedupe />);
+    await Promise.all(wrapper2.instance().fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(2);
+  });
+
+  it('sends a new request when the same instance refetches', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, { hello: 'world' });
+
+    const wrapper = mount(<Fetch url={url} dedupe />);
+    const instance = wrapper.instance();
+    instance.fetch();
+
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(2);
+  });
+
+  it('does not share non-idempotent requests', async () => {
+    const url = 'http://localhost';
+    fetchMock.post(url, { hello: 'world' });
+
+    const options = { method: 'POST', body: '{}' };
+    const wrapper1 = mount(<Fetch url={url} options={options} dedupe />);
+    const wrapper2 = mount(<Fetch url={url} options={options} dedupe />);
+
+    await Promise.all([
+      ...wrapper1.instance().fetcher.promises,
+      ...wrapper2.instance().fetcher.promises
+    ]);
+
+    expect(fetchMock.calls(url).length).toBe(2);
+  });
+
+  it('does not abort the shared request when one subscriber unmounts', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    fetchMock.once(url, data);
+
+    const mockFetch = createAbortableFetch(20);
+
+    const wrapper1 = mount(
+      <Fetch url={url} fetchFunction={mockFetch} dedupe />
+    );
+    const promises1 = wrapper1.instance().fetcher.promises.slice();
+
+    const mockChildren = jest.fn().mockReturnValue(<div />);
+    const wrapper2 = mount(
+      <Fetch url={url} fetchFunction={mockFetch} dedupe>
+        {mockChildren}
+      </Fetch>
+    );
+    const instance2 = wrapper2.instance();
+
+    wrapper1.unmount();
+    await Promise.all([...promises1, ...instance2.fetcher.promises]);
+
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+    expect(mockFetch.mock.calls[0][1].signal.aborted).toBe(false);
+    expect(mockChildren.mock.calls[2][0]).toMatchObject({
+      loading: false,
+      data
+    });
+  });
+
+  it('aborts the shared request once all subscribers unmount', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { hello: 'world' });
+
+    const mockFetch = createAbortableFetch(20);
+
+    const wrapper1 = mount(
+      <Fetch url={url} fetchFunction={mockFetch} dedupe />
+    );
+    const wrapper2 = mount(
+      <Fetch url={url} fetchFunction={mockFetch} dedupe />
+    );
+    const promises = [
+      ...wrapper1.instance().fetcher.promises,
+      ...wrapper2.instance().fetcher.promises
+    ];
+
+    wrapper1.unmount();
+    wrapper2.unmount();
+    await Promise.all(promises);
+
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+    expect(mockFetch.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(fetchMock.called(url)).toBe(false);
+  });
+});
+
+describe('interceptors', () => {
+  it('request interceptors can modify the url and options', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    fetchMock.once(`${url}/intercepted`, data);
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const interceptors = [
+      {
+        request: ({ url, options }) => ({
+          url: `${url}/intercepted`,
+          options
+        })
+      },
+      {
+        request: ({ url, options }) =>
+          Promise.resolve({
+            url,
+            options: { ...options, headers: { Authorization: 'token' } }
+          })
+      }
+    ];
+
+    const wrapper = mount(
+      <Fetch url={url} options={{ method: 'GET' }} interceptors={interceptors}>
+        {mockChildren}
+      </Fetch>
+    );
+    const instance = wrapper.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.lastOptions(`${url}/intercepted`)).toMatchObject({
+      method: 'GET',
+      headers: { Authorization: 'token' }
+    });
+
+    // Final request is passed down
+    expect(mockChildren.mock.calls[2][0]).toMatchObject({
+      data,
+      request: {
+        url: `${url}/intercepted`,
+        options: { method: 'GET', headers: { Authorization: 'token' } }
+      }
+    });
+  });
+
+  it('request interceptors can short-circuit with a response', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    const { Response } = fetchMock.config;
+
+    const skipped = jest.fn();
+    const interceptors = [
+      {
+        request: request => ({
+          ...request,
+          response: new Response(JSON.stringify(data), {
+            headers: { 'Content-Type': 'application/json' }
+          })
+        })
+      },
+      { request: skipped }
+    ];
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <Fetch url={url} interceptors={interceptors}>
+        {mockChildren}
+      </Fetch>
+    );
+    const instance = wrapper.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.called(url)).toBe(false);
+    expect(skipped).not.toBeCalled();
+    expect(mockChildren.mock.calls[2][0]).toMatchObject({
+      data,
+      request: { url }
+    });
+    expect(mockChildren.mock.calls[2][0].request.response).toBeUndefined();
+  });
+
+  it('response interceptors run in reverse order', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, {});
+
+    const calls = [];
+    const interceptor = name => ({
+      request: request => {
+        calls.push(`request ${name}`);
+      },
+      response: response => {
+        calls.push(`response ${name}`);
+      }
+    });
+
+    const wrapper = mount(
+      <Fetch url={url} interceptors={[interceptor('a'), interceptor('b')]}>
+        {() => <div />}
+      </Fetch>
+    );
+    const instance = wrapper.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(calls).toEqual([
+      'request a',
+      'request b',
+      'response b',
+      'response a'
+    ]);
+  });
+
+  it('response interceptors can transform the response', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { hello: 'world' });
+    const { Response } = fetchMock.config;
+
+    const interceptors = [
+      {
+        response: response =>
+          response.json().then(
+            data =>
+              new Response(JSON.stringify({ wrapped: data }), {
+                headers: { 'Content-Type': 'application/json' }
+              })
+          )
+      }
+    ];
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <Fetch url={url} interceptors={interceptors}>
+        {mockChildren}
+      </Fetch>
+    );
+    const instance = wrapper.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(mockChildren.mock.calls[2][0]).toMatchObject({
+      data: { wrapped: { hello: 'world' } }
+    });
+  });
+
+  it('response interceptors can retry the request', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    fetchMock.once(
+      (url, options) => options.headers.Authorization === 'old',
+      401
+    );
+    fetchMock.once(
+      (url, options) => options.headers.Authorization === 'new',
+      data
+    );
+
+    let token = 'old';
+    const interceptors = [
+      {
+        request: ({ url, options }) => ({
+          url,
+          options: { ...options, headers: { Authorization: token } }
+        }),
+        response: (response, request, retry) => {
+          if (response.status === 401) {
+            token = 'new';
+            return retry();
+          }
+        }
+      }
+    ];
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <Fetch url={url} interceptors={interceptors}>
+        {mockChildren}
+      </Fetch>
+    );
+    const instance = wrapper.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.calls().length).toBe(2);
+    expect(mockChildren.mock.calls[2][0]).toMatchObject({
+      data,
+      request: { options: { headers: { Authorization: 'new' } } }
+    });
+  });
+
+  it('passes the abort signal to the final request', async () => {
+    const url = 'http://localhost';
+    const fetchFunction = jest.fn(() => new Promise(() => {}));
+
+    const interceptors = [
+      { request: ({ url }) => ({ url, options: { method: 'HEAD' } }) }
+    ];
+
+    const wrapper = mount(
+      <Fetch
+        url={url}
+        fetchFunction={fetchFunction}
+        interceptors={interceptors}
+      >
+        {() => <div />}
+      </Fetch>
+    );
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(fetchFunction).toBeCalledWith(url, {
+      method: 'HEAD',
+      signal: expect.any(AbortSignal)
+    });
+    wrapper.unmount();
+  });
+});
+
+describe('refreshAuth', () => {
+  const { Response } = fetchMock.config;
+
+  // Responds with `401` unless the request has the current token
+  const createServer = () => {
+    const server = {
+      token: 'new',
+      fetchFunction: jest.fn((url, options) =>
+        Promise.resolve(
+          options.headers && options.headers.Authorization === server.token
+            ? new Response(JSON.stringify({ url }), {
+                headers: { 'Content-Type': 'application/json' }
+              })
+            : new Response(JSON.stringify({ message: 'Unauthorized' }), {
+                status: 401,
+                headers: { 'Content-Type': 'application/json' }
+              })
+        )
+      )
+    };
+    return server;
+  };
+
+  it('refreshes and replays the request on 401', async () => {
+    const url = 'http://localhost';
+    const server = createServer();
+    const refreshAuth = jest.fn(() =>
+      Promise.resolve({ headers: { Authorization: 'new' } })
+    );
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <Fetch
+        url={url}
+        options={{ headers: { Authorization: 'old' } }}
+        fetchFunction={server.fetchFunction}
+        refreshAuth={refreshAuth}
+      >
+        {mockChildren}
+      </Fetch>
+    );
+    const instance = wrapper.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(refreshAuth).toHaveBeenCalledTimes(1);
+    expect(server.fetchFunction).toHaveBeenCalledTimes(2);
+    expect(mockChildren.mock.calls[2][0]).toMatchObject({
+      data: { url },
+      request: { options: { headers: { Authorization: 'new' } } }
+    });
+  });
+
+  it('evaluates options again when replaying', async () => {
+    const url = 'http://localhost';
+    const server = createServer();
+    let token = 'old';
+    const refreshAuth = jest.fn(() => {
+      token = 'new';
+      return Promise.resolve();
+    });
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <Fetch
+        url={url}
+        options={() => ({ headers: { Authorization: token } })}
+        fetchFunction={server.fetchFunction}
+        refreshAuth={refreshAuth}
+      >
+        {mockChildren}
+      </Fetch>
+    );
+    const instance = wrapper.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(refreshAuth).toHaveBeenCalledTimes(1);
+    expect(mockChildren.mock.calls[2][0]).toMatchObject({ data: { url } });
+  });
+
+  it('refreshes once for concurrent requests', async () => {
+    const server = createServer();
+    let token = 'old';
+    const refreshAuth = jest.fn(
+      () =>
+        new Promise(resolve =>
+          setTimeout(() => {
+            token = 'new';
+            resolve();
+          }, 20)
+        )
+    );
+
+    const options = () => ({ headers: { Authorization: token } });
+    const wrapper = mount(
+      <div>
+        {['http://localhost/1', 'http://localhost/2'].map(url => (
+          <Fetch
+            key={url}
+            url={url}
+            options={options}
+            fetchFunction={server.fetchFunction}
+            refreshAuth={refreshAuth}
+          >
+            {({ data }) => <div>{data && data.url}</div>}
+          </Fetch>
+        ))}
+      </div>
+    );
+    const instances = wrapper.find(Fetch).map(fetch => fetch.instance());
+    await Promise.all(
+      instances.map(instance => Promise.all(instance.fetcher.promises))
+    );
+
+    expect(refreshAuth).toHaveBeenCalledTimes(1);
+    expect(instances.map(instance => instance.state.data)).toEqual([
+      { url: 'http://localhost/1' },
+      { url: 'http://localhost/2' }
+    ]);
+
+    // Requests sent after the refresh are not refreshed again
+    await instances[0].fetch();
+    expect(refreshAuth).toHaveBeenCalledTimes(1);
+  });
+
+  it('waits for a pending refresh before sending', async () => {
+    const server = createServer();
+    let token = 'old';
+    const refreshAuth = jest.fn(
+      () =>
+        new Promise(resolve =>
+          setTimeout(() => {
+            token = 'new';
+            resolve();
+          }, 20)
+        )
+    );
+    const options = () => ({ headers: { Authorization: token } });
+
+    const wrapper1 = mount(
+      <Fetch
+        url="http://localhost/1"
+        options={options}
+        fetchFunction={server.fetchFunction}
+        refreshAuth={refreshAuth}
+      >
+        {() => <div />}
+      </Fetch>
+    );
+    const instance1 = wrapper1.instance();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(refreshAuth).toHaveBeenCalledTimes(1);
+
+    const wrapper2 = mount(
+      <Fetch
+        url="http://localhost/2"
+        fetchFunction={server.fetchFunction}
+        options={{ headers: { Authorization: 'new' } }}
+        refreshAuth={refreshAuth}
+      >
+        {() => <div />}
+      </Fetch>
+    );
+    const instance2 = wrapper2.instance();
+
+    // Not sent until the refresh completes
+    expect(server.fetchFunction).toHaveBeenCalledTimes(1);
+
+    await Promise.all([
+      ...instance1.fetcher.promises,
+      ...instance2.fetcher.promises
+    ]);
+
+    expect(refreshAuth).toHaveBeenCalledTimes(1);
+    expect(server.fetchFunction).toHaveBeenCalledTimes(3);
+    expect(instance2.state.data).toEqual({ url: 'http://localhost/2' });
+  });
+
+  it('rejects all waiting requests with a single auth error', async () => {
+    const server = createServer();
+    const refreshError = new Error('Session expired');
+    const refreshAuth = jest.fn(() => Promise.reject(refreshError));
+    const onAuthError = jest.fn();
+
+    const wrapper = mount(
+      <div>
+        {['http://localhost/1', 'http://localhost/2'].map(url => (
+          <Fetch
+            key={url}
+            url={url}
+            options={{ headers: { Authorization: 'old' } }}
+            fetchFunction={server.fetchFunction}
+            refreshAuth={refreshAuth}
+            onAuthError={onAuthError}
+          >
+            {() => <div />}
+          </Fetch>
+        ))}
+      </div>
+    );
+    const instances = wrapper.find(Fetch).map(fetch => fetch.instance());
+    await Promise.all(
+      instances.map(instance =>
+        Promise.all(instance.fetcher.promises).catch(e => {})
+      )
+    );
+
+    expect(refreshAuth).toHaveBeenCalledTimes(1);
+    expect(onAuthError).toHaveBeenCalledTimes(1);
+
+    const [error] = onAuthError.mock.calls[0];
+    expect(error.name).toBe('AuthError');
+    expect(error.cause).toBe(refreshError);
+    expect(instances.map(instance => instance.state.error)).toEqual([
+      error,
+      error
+    ]);
+  });
+
+  it('does not refresh again if the replayed request is unauthorized', async () => {
+    const url = 'http://localhost';
+    const server = createServer();
+    const refreshAuth = jest.fn(() => Promise.resolve());
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <Fetch
+        url={url}
+        fetchFunction={server.fetchFunction}
+        refreshAuth={refreshAuth}
+      >
+        {mockChildren}
+      </Fetch>
+    );
+    const instance = wrapper.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(refreshAuth).toHaveBeenCalledTimes(1);
+    expect(server.fetchFunction).toHaveBeenCalledTimes(2);
+    expect(mockChildren.mock.calls[2][0]).toMatchObject({
+      error: { message: 'Unauthorized' },
+      response: { status: 401 }
+    });
+  });
+});
+
+describe('optimisticData', () => {
+  it('renders the optimistic data while the request is pending', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { count: 1 });
+    fetchMock.once(url, { count: 2 });
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(<Fetch url={url}>{mockChildren}</Fetch>);
+    const instance = wrapper.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    const optimisticData = jest.fn(data => ({ count: data.count + 1 }));
+    await instance.fetch(url, { method: 'PUT' }, { optimisticData });
+
+    expect(optimisticData).toBeCalledWith({ count: 1 });
+    const calls = mockChildren.mock.calls;
+    expect(calls[calls.length - 2][0]).toMatchObject({
+      loading: true,
+      data: { count: 2 }
+    });
+    expect(calls[calls.length - 1][0]).toMatchObject({
+      loading: false,
+      data: { count: 2 }
+    });
+  });
+
+  it('restores the previous data if the response is not ok', async () => {
+    const url = 'http://localhost';
+    const error = { message: 'Conflict' };
+    fetchMock.once(url, { count: 1 });
+    fetchMock.once(url, { status: 409, body: error });
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(<Fetch url={url}>{mockChildren}</Fetch>);
+    const instance = wrapper.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    await instance.fetch(url, undefined, { optimisticData: { count: 2 } });
+
+    const calls = mockChildren.mock.calls;
+    expect(calls[calls.length - 2][0]).toMatchObject({
+      loading: true,
+      data: { count: 2 }
+    });
+    expect(calls[calls.length - 1][0]).toMatchObject({
+      loading: false,
+      data: { count: 1 },
+      error
+    });
+  });
+
+  it('restores the previous data if the request throws', async () => {
+    const url = 'http://localhost';
+    const error = new Error('Network error');
+    const fetchFunction = jest
+      .fn(fetchMock.fetchHandler)
+      .mockImplementationOnce(fetchMock.fetchHandler)
+      .mockImplementationOnce(() => Promise.reject(error));
+    fetchMock.once(url, { count: 1 });
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <Fetch url={url} fetchFunction={fetchFunction}>
+        {mockChildren}
+      </Fetch>
+    );
+    const instance = wrapper.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    await instance
+      .fetch(url, undefined, { optimisticData: { count: 2 } })
+      .catch(e => {});
+
+    expect(instance.state).toMatchObject({
+      loading: false,
+      data: { count: 1 },
+      error
+    });
+  });
+
+  it('passes the optimistic data through "onDataChange" once', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, [1]);
+    fetchMock.once(url, [2]);
+    fetchMock.once(url, 500);
+
+    const onDataChange = jest.fn((data, currentData = []) => [
+      ...currentData,
+      ...data
+    ]);
+
+    const wrapper = mount(
+      <Fetch url={url} onDataChange={onDataChange}>
+        {() => <div />}
+      </Fetch>
+    );
+    const instance = wrapper.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    // The response replaces the optimistic data
+    await instance.fetch(url, undefined, { optimisticData: [2] });
+    expect(instance.state.data).toEqual([1, 2]);
+
+    // The restored data is not passed to `onDataChange` again
+    await instance.fetch(url, undefined, { optimisticData: [3] });
+    expect(instance.state.data).toEqual([1, 2]);
+    expect(onDataChange).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe('cacheTags', () => {
+  it('stores entries with "cacheTags"', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, {});
+    const cache = new SimpleCache();
+    jest.spyOn(cache, 'set');
+
+    const wrapper = mount(
+      <Fetch url={url} cache={cache} cacheTags={['users']}>
+        {() => <div />}
+      </Fetch>
+    );
+    await Promise.all(wrapper.instance().fetcher.promises);
+
+    expect(cache.set).toBeCalledWith(url, expect.any(Promise), {
+      tags: ['users']
+    });
+  });
+
+  it('requests invalidated entries again', async () => {
+    const url1 = 'http://localhost/users?page=1';
+    const url2 = 'http://localhost/users/5';
+    fetchMock.once(url1, { page: 1 });
+    fetchMock.once(url1, { page: 1, updated: true });
+    fetchMock.mock(url2, { id: 5 });
+    const cache = new SimpleCache();
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper1 = mount(
+      <Fetch url={url1} cache={cache} cacheTags={['users']}>
+        {mockChildren}
+      </Fetch>
+    );
+    const wrapper2 = mount(
+      <Fetch url={url2} cache={cache}>
+        {() => <div />}
+      </Fetch>
+    );
+    const instance1 = wrapper1.instance();
+    await Promise.all(instance1.fetcher.promises);
+    await Promise.all(wrapper2.instance().fetcher.promises);
+
+    expect(cache.invalidate({ tags: ['users'] })).toEqual([url1]);
+    await Promise.all(instance1.fetcher.promises);
+
+    expect(fetchMock.calls(url1).length).toBe(2);
+    expect(fetchMock.calls(url2).length).toBe(1);
+    expect(instance1.state.data).toEqual({ page: 1, updated: true });
+
+    // Unmounted components are no longer refreshed
+    wrapper1.unmount();
+    cache.invalidate({ urlPrefix: 'http://localhost/users' });
+    await Promise.all(wrapper2.instance().fetcher.promises);
+    expect(fetchMock.calls(url1).length).toBe(2);
+    expect(fetchMock.calls(url2).length).toBe(2);
+  });
+});
+
+describe('cache subscriptions', () => {
+  it('renders entries set by other components', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { count: 1 });
+    fetchMock.once(url, { count: 2 });
+    const cache = new SimpleCache();
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper1 = mount(
+      <Fetch url={url} cache={cache} cachePolicy="network-only">
+        {() => <div />}
+      </Fetch>
+    );
+    const instance1 = wrapper1.instance();
+    await Promise.all(instance1.fetcher.promises);
+
+    const wrapper2 = mount(
+      <Fetch url={url} cache={cache}>
+        {mockChildren}
+      </Fetch>
+    );
+    const instance2 = wrapper2.instance();
+    await Promise.all(instance2.fetcher.promises);
+    expect(instance2.state.data).toEqual({ count: 1 });
+
+    await instance1.fetch();
+    await Promise.all(instance2.fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(2);
+    expect(instance2.state.data).toEqual({ count: 2 });
+    expect(mockChildren).lastCalledWith(
+      expect.objectContaining({ data: { count: 2 }, isStale: false })
+    );
+  });
+
+  it('marks the data as stale when the entry is removed', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { hello: 'world' });
+    const cache = new SimpleCache();
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <Fetch url={url} cache={cache}>
+        {mockChildren}
+      </Fetch>
+    );
+    const instance = wrapper.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    cache.remove(url);
+
+    expect(fetchMock.calls(url).length).toBe(1);
+    expect(mockChildren).lastCalledWith(
+      expect.objectContaining({ data: { hello: 'world' }, isStale: true })
+    );
+  });
+
+  it('stops listening once unmounted', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { hello: 'world' });
+    const cache = new SimpleCache();
+    jest.spyOn(cache, 'subscribe');
+
+    const wrapper = mount(
+      <Fetch url={url} cache={cache}>
+        {() => <div />}
+      </Fetch>
+    );
+    await Promise.all(wrapper.instance().fetcher.promises);
+    expect(cache.subscribe).toBeCalledWith(url, expect.any(Function));
+
+    wrapper.unmount();
+    expect(cache.subscribers).toEqual({});
+  });
+});
+
+describe('cache writes', () => {
+  it('renders data written to the cache', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, [{ id: 1 }]);
+    const cache = new SimpleCache();
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <Fetch url={url} cache={cache}>
+        {mockChildren}
+      </Fetch>
+    );
+    const instance = wrapper.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    cache.updateData(url, todos => todos.concat({ id: 2 }));
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(1);
+    expect(mockChildren).lastCalledWith(
+      expect.objectContaining({
+        loading: false,
+        data: [{ id: 1 }, { id: 2 }],
+        response: expect.objectContaining({ ok: true })
+      })
+    );
+  });
+
+  it('renders data written to the cache before mounting without a request', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, {});
+    const cache = new SimpleCache();
+    cache.setData(url, { hello: 'world' });
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <Fetch url={url} cache={cache}>
+        {mockChildren}
+      </Fetch>
+    );
+    await Promise.all(wrapper.instance().fetcher.promises);
+
+    expect(fetchMock.called(url)).toBe(false);
+    expect(mockChildren).lastCalledWith(
+      expect.objectContaining({ loading: false, data: { hello: 'world' } })
+    );
+  });
+});
+
+describe('suspense', () => {
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  // Rendered with `ReactDOM` as enzyme does not support components which suspended before mounting
+  let container;
+  const render = element => ReactDOM.render(element, container);
+
+  beforeEach(() => {
+    container = document.createElement('div');
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(container);
+  });
+
+  class ErrorBoundary extends React.Component {
+    state = { error: null };
+
+    static getDerivedStateFromError(error) {
+      return { error };
+    }
+
+    render() {
+      return this.state.error ? (
+        <div>Error: {this.state.error.message}</div>
+      ) : (
+        this.props.children
+      );
+    }
+  }
+
+  it('renders the fallback until the responses of all siblings are received', async () => {
+    const url1 = 'http://localhost/users';
+    const url2 = 'http://localhost/posts';
+    fetchMock.once(url1, { name: 'users' });
+    fetchMock.once(url2, { name: 'posts' });
+    const cache = new SimpleCache();
+    const slowFetch = (url, options) =>
+      sleep(20).then(() => fetch(url, options));
+
+    const mockChildren = jest.fn(({ data }) => <div>{data.name}</div>);
+
+    render(
+      <React.Suspense fallback={<div>Loading</div>}>
+        <Fetch url={url1} cache={cache} suspense>
+          {mockChildren}
+        </Fetch>
+        <Fetch url={url2} cache={cache} fetchFunction={slowFetch} suspense>
+          {mockChildren}
+        </Fetch>
+      </React.Suspense>
+    );
+    expect(container.textContent).toBe('Loading');
+
+    // Siblings which already received their response are hidden
+    await sleep(10);
+    expect(container.lastChild.textContent).toBe('Loading');
+
+    await sleep(40);
+    expect(container.textContent).toBe('usersposts');
+
+    expect(fetchMock.calls(url1).length).toBe(1);
+    expect(fetchMock.calls(url2).length).toBe(1);
+    // Never rendered while loading
+    mockChildren.mock.calls.forEach(([fetchProps]) =>
+      expect(fetchProps).toMatchObject({ loading: false })
+    );
+  });
+
+  it('throws errors to the nearest error boundary', async () => {
+    const url = 'http://localhost';
+    const error = new Error('Network error');
+    const cache = new SimpleCache();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    render(
+      <ErrorBoundary>
+        <React.Suspense fallback={<div>Loading</div>}>
+          <Fetch
+            url={url}
+            cache={cache}
+            fetchFunction={() => Promise.reject(error)}
+            suspense
+          >
+            {() => <div>Data</div>}
+          </Fetch>
+        </React.Suspense>
+      </ErrorBoundary>
+    );
+    expect(container.textContent).toBe('Loading');
+
+    await sleep(10);
+    expect(container.textContent).toBe('Error: Network error');
+
+    console.error.mockRestore();
+  });
+
+  it('throws the error of responses which are not ok', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { status: 500, body: { message: 'Server error' } });
+    const cache = new SimpleCache();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    render(
+      <ErrorBoundary>
+        <React.Suspense fallback={<div>Loading</div>}>
+          <Fetch url={url} cache={cache} suspense>
+            {() => <div>Data</div>}
+          </Fetch>
+        </React.Suspense>
+      </ErrorBoundary>
+    );
+
+    await sleep(10);
+    expect(container.textContent).toBe('Error: Server error');
+    expect(fetchMock.calls(url).length).toBe(1);
+
+    console.error.mockRestore();
+  });
+
+  it('suspends again when the url changes', async () => {
+    const url1 = 'http://localhost/1';
+    const url2 = 'http://localhost/2';
+    fetchMock.once(url1, { id: 1 });
+    fetchMock.once(url2, { id: 2 });
+    const cache = new SimpleCache();
+    const slowFetch = (url, options) =>
+      sleep(url === url2 ? 20 : 0).then(() => fetch(url, options));
+
+    const App = ({ url }) => (
+      <React.Suspense fallback={<span>Loading</span>}>
+        <Fetch url={url} cache={cache} fetchFunction={slowFetch} suspense>
+          {({ data }) => <span>{data.id}</span>}
+        </Fetch>
+      </React.Suspense>
+    );
+
+    render(<App url={url1} />);
+    await sleep(10);
+    expect(container.textContent).toBe('1');
+
+    render(<App url={url2} />);
+    await sleep(10);
+    // The previous children are hidden while suspended
+    expect(container.lastChild.textContent).toBe('Loading');
+
+    await sleep(30);
+    expect(container.textContent).toBe('2');
+  });
+
+  it('requires a shared cache', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() =>
+      render(
+        <React.Suspense fallback={<div>Loading</div>}>
+          <Fetch url="http://localhost" suspense>
+            {() => <div />}
+          </Fetch>
+        </React.Suspense>
+      )
+    ).toThrow('The "suspense" prop requires a shared "cache"');
+
+    console.error.mockRestore();
+  });
+});
+
+describe('links', () => {
+  it('parses the "Link" header of the response', async () => {
+    const url = 'http://localhost/items?page=2';
+    fetchMock.once(url, {
+      body: [],
+      headers: {
+        Link:
+          '<http://localhost/items?page=3&per_page=10>; rel="next", ' +
+          '</items?page=1&per_page=10>; rel="prev first", ' +
+          '<http://localhost/items?page=5&per_page=10>; rel="last"'
+      }
+    });
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(<Fetch url={url}>{mockChildren}</Fetch>);
+    const instance = wrapper.instance();
+    expect(mockChildren.mock.calls[0][0].links).toEqual({});
+
+    await Promise.all(instance.fetcher.promises);
+
+    const { links } = mockChildren.mock.calls[2][0];
+    expect(links.next).toEqual({
+      url: 'http://localhost/items?page=3&per_page=10',
+      rel: 'next',
+      params: { page: '3', per_page: '10' }
+    });
+    // Relative to the request
+    expect(links.prev.url).toBe('http://localhost/items?page=1&per_page=10');
+    expect(links.first.url).toBe('http://localhost/items?page=1&per_page=10');
+    expect(links.last.params.page).toBe('5');
+  });
+
+  it('can fetch the next link', async () => {
+    const url = 'http://localhost/items';
+    const nextUrl = 'http://localhost/items?page=2';
+    fetchMock.once(url, {
+      body: [1],
+      headers: { Link: `<${nextUrl}>; rel="next"` }
+    });
+    fetchMock.once(nextUrl, [2]);
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(<Fetch url={url}>{mockChildren}</Fetch>);
+    const instance = wrapper.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    const { fetch, links } = mockChildren.mock.calls[2][0];
+    await fetch(links.next.url);
+
+    expect(instance.state).toMatchObject({ data: [2], links: {} });
+  });
+
+  it('parses attributes and multiple links', () => {
+    expect(
+      parseLinkHeader(
+        '<https://api.example.com/items?q=a+b&page=2>; rel="next"; title="Next, page", ' +
+          '<https://api.example.com/items>; rel=first'
+      )
+    ).toEqual({
+      next: {
+        url: 'https://api.example.com/items?q=a+b&page=2',
+        rel: 'next',
+        title: 'Next, page',
+        params: { q: 'a b', page: '2' }
+      },
+      first: { url: 'https://api.example.com/items', rel: 'first', params: {} }
+    });
+    expect(parseLinkHeader(null)).toEqual({});
+    expect(parseLinkHeader('<../items?page=2>; rel="next"')).toEqual({
+      next: { url: '../items?page=2', rel: 'next', params: { page: '2' } }
+    });
+  });
+
+  it('keeps query params separate from the url and attributes', () => {
+    const url = 'https://api.example.com/items?url=a&rel=b&title=c&type=d';
+    expect(
+      parseLinkHeader(`<${url}>; rel="next"; title="Next"; type="text/html"`)
+    ).toEqual({
+      next: {
+        url,
+        rel: 'next',
+        title: 'Next',
+        type: 'text/html',
+        params: { url: 'a', rel: 'b', title: 'c', type: 'd' }
+      }
+    });
+  });
+
+  it('parses malformed query params and values containing "="', () => {
+    expect(
+      parseLinkHeader(
+        '<https://api.example.com/items?q=100%&cursor=YWJj==>; rel="next"'
+      ).next.params
+    ).toEqual({ q: '100%', cursor: 'YWJj==' });
+  });
+
+  it('does not fail requests with malformed "Link" headers', async () => {
+    const url = 'http://localhost/items';
+    fetchMock.once(url, {
+      body: [1],
+      headers: { Link: '<http://localhost/items?q=100%>; rel="next"' }
+    });
+
+    const wrapper = mount(<Fetch url={url} />);
+    const instance = wrapper.instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(instance.state).toMatchObject({ data: [1], error: undefined });
+    expect(instance.state.links.next.params).toEqual({ q: '100%' });
+  });
+});
+
 // TODO: Having difficulting testing/mocking this
 /*it('can use onChange with setState to control rendering instead of child function', async () => {
   const data = { hello: 'world' };
@@ -2503,7 +4933,7 @@ describe('middleware', () => {
   );
   console.log('after mount')
   const instance = wrapper.instance();
-  const promises = instance.promises;
+  const promises = instance.fetcher.promises;
 
   console.log('before promise resolves')
   await Promise.all(promises);
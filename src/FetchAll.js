@@ -0,0 +1,7 @@
+import useFetchAll from './useFetchAll';
+import { renderChildren } from './utils';
+
+// Component version of `useFetchAll`, passing the combined state of the `requests` to the child function
+export default function FetchAll({ requests, children, ...props }) {
+  return renderChildren(children, useFetchAll(requests, props));
+}
@@ -0,0 +1,207 @@
+import React from 'react';
+import { configure, mount } from 'enzyme';
+import Adapter from 'enzyme-adapter-react-16';
+import { act } from 'react-dom/test-utils';
+import fetchMock from 'fetch-mock';
+
+fetchMock.config.overwriteRoutes = false;
+
+import { FetchAll, FetchProvider, SimpleCache } from './';
+import { sleep, lastCall } from '../config/testUtils';
+
+configure({ adapter: new Adapter() });
+
+afterEach(fetchMock.restore);
+
+describe('FetchAll', () => {
+  it('sends requests in parallel and combines their state', async () => {
+    const userUrl = 'http://localhost/users/5';
+    const postsUrl = 'http://localhost/posts';
+    fetchMock.once(userUrl, { id: 5 });
+    fetchMock.once(postsUrl, [{ id: 1 }]);
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <FetchAll requests={{ user: userUrl, posts: postsUrl }}>
+        {mockChildren}
+      </FetchAll>
+    );
+
+    expect(mockChildren.mock.calls[0][0]).toMatchObject({
+      loading: true,
+      error: undefined,
+      data: { user: undefined, posts: undefined }
+    });
+    // Both sent before either is received
+    expect(fetchMock.calls(userUrl).length).toBe(1);
+    expect(fetchMock.calls(postsUrl).length).toBe(1);
+
+    await sleep(10);
+
+    const fetchProps = lastCall(mockChildren);
+    expect(fetchProps).toMatchObject({
+      loading: false,
+      error: undefined,
+      data: { user: { id: 5 }, posts: [{ id: 1 }] }
+    });
+    expect(fetchProps.requests.user).toMatchObject({
+      loading: false,
+      data: { id: 5 },
+      request: { url: userUrl }
+    });
+    expect(fetchProps.requests.user.response.ok).toBe(true);
+  });
+
+  it('sends dependent requests once their dependencies are received', async () => {
+    const userUrl = 'http://localhost/users/5';
+    const postsUrl = 'http://localhost/users/5/posts';
+    fetchMock.once(userUrl, { id: 5 });
+    fetchMock.once(postsUrl, [{ id: 1 }]);
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <FetchAll
+        requests={{
+          user: userUrl,
+          posts: ({ user }) => user && `http://localhost/users/${user.id}/posts`
+        }}
+      >
+        {mockChildren}
+      </FetchAll>
+    );
+
+    expect(fetchMock.calls(postsUrl).length).toBe(0);
+    expect(lastCall(mockChildren).requests.posts.loading).toBe(null);
+
+    await sleep(10);
+
+    expect(fetchMock.calls(userUrl).length).toBe(1);
+    expect(fetchMock.calls(postsUrl).length).toBe(1);
+    expect(lastCall(mockChildren)).toMatchObject({
+      loading: false,
+      data: { user: { id: 5 }, posts: [{ id: 1 }] }
+    });
+    // Still loading while the dependent request was waiting to be sent
+    mockChildren.mock.calls
+      .filter(([{ data }]) => data.posts === undefined)
+      .forEach(([{ loading }]) => expect(loading).toBe(true));
+  });
+
+  it('exposes the error of the first failed request', async () => {
+    const userUrl = 'http://localhost/users/5';
+    const postsUrl = 'http://localhost/posts';
+    fetchMock.once(userUrl, { id: 5 });
+    fetchMock.once(postsUrl, { status: 500, body: { message: 'Oops' } });
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <FetchAll
+        requests={{
+          user: userUrl,
+          posts: postsUrl,
+          comments: ({ posts }) => posts && 'http://localhost/comments'
+        }}
+      >
+        {mockChildren}
+      </FetchAll>
+    );
+    await sleep(10);
+
+    expect(lastCall(mockChildren)).toMatchObject({
+      loading: false,
+      error: { message: 'Oops' },
+      data: { user: { id: 5 }, posts: undefined, comments: undefined }
+    });
+    expect(lastCall(mockChildren).requests.posts.response.status).toBe(500);
+  });
+
+  it('supports props per request, and shared props and provider defaults', async () => {
+    const cache = new SimpleCache();
+    fetchMock.once('http://localhost/users', [{ id: 5 }]);
+    fetchMock.once('http://localhost/search', [{ id: 6 }]);
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <FetchProvider baseUrl="http://localhost">
+        <FetchAll
+          requests={{
+            users: '/users',
+            search: {
+              url: '/search',
+              options: { method: 'POST', body: '{}' }
+            }
+          }}
+          cache={cache}
+        >
+          {mockChildren}
+        </FetchAll>
+      </FetchProvider>
+    );
+    await sleep(10);
+
+    expect(lastCall(mockChildren).data).toEqual({
+      users: [{ id: 5 }],
+      search: [{ id: 6 }]
+    });
+    expect(fetchMock.lastOptions('http://localhost/search').method).toBe(
+      'POST'
+    );
+    expect(cache.getData('http://localhost/users')).toEqual([{ id: 5 }]);
+  });
+
+  it('sends every request again with "fetch"', async () => {
+    const userUrl = 'http://localhost/users/5';
+    const postsUrl = 'http://localhost/posts';
+    fetchMock.mock(userUrl, { id: 5 });
+    fetchMock.mock(postsUrl, []);
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <FetchAll requests={{ user: userUrl, posts: postsUrl }}>
+        {mockChildren}
+      </FetchAll>
+    );
+    await sleep(10);
+
+    await act(async () => {
+      await lastCall(mockChildren).fetch();
+    });
+
+    expect(fetchMock.calls(userUrl).length).toBe(2);
+    expect(fetchMock.calls(postsUrl).length).toBe(2);
+  });
+
+  it('aborts requests which are no longer requested or when unmounted', async () => {
+    const userUrl = 'http://localhost/users/5';
+    const postsUrl = 'http://localhost/posts';
+    fetchMock.mock(userUrl, { id: 5 });
+    fetchMock.mock(postsUrl, []);
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <FetchAll requests={{ user: userUrl, posts: postsUrl }}>
+        {mockChildren}
+      </FetchAll>
+    );
+    const signals = fetchMock.calls().map(([url, options]) => options.signal);
+
+    wrapper.setProps({ requests: { user: userUrl } });
+    expect(signals.map(signal => signal.aborted)).toEqual([false, true]);
+    expect(Object.keys(lastCall(mockChildren).requests)).toEqual(['user']);
+
+    wrapper.unmount();
+    expect(signals.map(signal => signal.aborted)).toEqual([true, true]);
+  });
+});
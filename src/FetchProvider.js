@@ -0,0 +1,61 @@
+import React, { Component } from 'react';
+
+import { mergeOptions, resolveUrl } from './utils';
+
+export const FetchContext = React.createContext({});
+
+export default class FetchProvider extends Component {
+  parent = null;
+  lastProps = null;
+  value = null;
+
+  getValue(parent) {
+    const {
+      children,
+      baseUrl,
+      options,
+      interceptors,
+      ...defaults
+    } = this.props;
+
+    // Only create a new value when something changed so consumers are not re-rendered needlessly
+    if (
+      parent !== this.parent ||
+      !this.lastProps ||
+      Object.keys({ ...this.props, ...this.lastProps }).some(
+        key => key !== 'children' && this.props[key] !== this.lastProps[key]
+      )
+    ) {
+      this.parent = parent;
+      this.lastProps = this.props;
+      this.value = {
+        ...parent,
+        ...Object.keys(defaults)
+          .filter(key => defaults[key] !== undefined)
+          .reduce((result, key) => {
+            result[key] = defaults[key];
+            return result;
+          }, {}),
+        // A nested provider's relative `baseUrl` (ex. `/v2`) is resolved against its parent's
+        baseUrl: resolveUrl(parent.baseUrl, baseUrl) || parent.baseUrl,
+        options: mergeOptions(parent.options, options),
+        // Interceptors of a parent provider wrap those of nested providers
+        interceptors: [].concat(parent.interceptors || [], interceptors || [])
+      };
+    }
+
+    return this.value;
+  }
+
+  render() {
+    return (
+      <FetchContext.Consumer>
+        {parent => (
+          <FetchContext.Provider value={this.getValue(parent)}>
+            {this.props.children}
+          </FetchContext.Provider>
+        )}
+      </FetchContext.Consumer>
+    );
+  }
+}
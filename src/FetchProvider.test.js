@@ -0,0 +1,306 @@
+import React from 'react';
+import { configure, mount } from 'enzyme';
+import Adapter from 'enzyme-adapter-react-16';
+import fetchMock from 'fetch-mock';
+
+fetchMock.config.overwriteRoutes = false;
+
+import Fetch, { FetchProvider, FetchContext, SimpleCache } from './';
+
+configure({ adapter: new Adapter() });
+
+afterEach(fetchMock.restore);
+
+describe('FetchProvider', () => {
+  it('resolves relative urls against baseUrl', async () => {
+    const url = 'http://localhost/api/users';
+    fetchMock.once(url, { hello: 'world' });
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <FetchProvider baseUrl="http://localhost/api/">
+        <Fetch url="/users">{mockChildren}</Fetch>
+      </FetchProvider>
+    );
+    const instance = wrapper.find(Fetch).instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.called(url)).toBe(true);
+    expect(mockChildren.mock.calls[2][0]).toMatchObject({
+      request: { url },
+      data: { hello: 'world' }
+    });
+  });
+
+  it('does not resolve absolute urls', async () => {
+    const url = 'http://example.com/users';
+    fetchMock.once(url, {});
+
+    const wrapper = mount(
+      <FetchProvider baseUrl="http://localhost/api">
+        <Fetch url={url}>{() => <div />}</Fetch>
+      </FetchProvider>
+    );
+    const instance = wrapper.find(Fetch).instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.called(url)).toBe(true);
+  });
+
+  it('merges default options and headers with props', async () => {
+    const url = 'http://localhost';
+    const { Response } = fetchMock.config;
+    const fetchFunction = jest.fn(() => Promise.resolve(new Response('{}')));
+
+    const wrapper = mount(
+      <FetchProvider
+        fetchFunction={fetchFunction}
+        options={{
+          credentials: 'include',
+          headers: { Authorization: 'token', 'Content-Type': 'text/plain' }
+        }}
+      >
+        <Fetch
+          url={url}
+          options={{ method: 'PUT', headers: { 'content-type': 'text/csv' } }}
+        >
+          {() => <div />}
+        </Fetch>
+      </FetchProvider>
+    );
+    const instance = wrapper.find(Fetch).instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchFunction).toBeCalledWith(url, {
+      method: 'PUT',
+      credentials: 'include',
+      headers: { Authorization: 'token', 'content-type': 'text/csv' },
+      signal: expect.any(AbortSignal)
+    });
+  });
+
+  it('supports options as functions', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, {});
+
+    const wrapper = mount(
+      <FetchProvider options={() => ({ headers: { Authorization: 'token' } })}>
+        <Fetch url={url} options={() => ({ method: 'DELETE' })}>
+          {() => <div />}
+        </Fetch>
+      </FetchProvider>
+    );
+    const instance = wrapper.find(Fetch).instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.lastOptions(url)).toMatchObject({
+      method: 'DELETE',
+      headers: { Authorization: 'token' }
+    });
+  });
+
+  it('props override provider values', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, {
+      body: 'hello',
+      headers: { 'Content-Type': 'text/plain' }
+    });
+
+    const providerAs = jest.fn(res => res.text());
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <FetchProvider as={providerAs}>
+        <Fetch url={url} as={res => res.text().then(text => text.length)}>
+          {mockChildren}
+        </Fetch>
+      </FetchProvider>
+    );
+    const instance = wrapper.find(Fetch).instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(providerAs).not.toBeCalled();
+    expect(mockChildren.mock.calls[2][0]).toMatchObject({ data: 5 });
+  });
+
+  it('props equal to their defaults override provider values', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, 503);
+
+    const wrapper = mount(
+      <FetchProvider
+        retry={3}
+        retryDelay={1}
+        cachePolicy="cache-and-network"
+        dedupe
+      >
+        <Fetch url={url} retry={0} cachePolicy="cache-first" dedupe={false}>
+          {() => <div />}
+        </Fetch>
+      </FetchProvider>
+    );
+    const instance = wrapper.find(Fetch).instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(1);
+    expect(instance.fetcher.getProps()).toMatchObject({
+      retry: 0,
+      retryDelay: 1,
+      cachePolicy: 'cache-first',
+      dedupe: false
+    });
+  });
+
+  it('shares the cache between instances', async () => {
+    const url = 'http://localhost';
+    fetchMock.mock(url, { hello: 'world' });
+    const cache = new SimpleCache();
+
+    const wrapper = mount(
+      <FetchProvider cache={cache}>
+        <div>
+          <Fetch url={url}>{() => <div />}</Fetch>
+          <Fetch url={url}>{() => <div />}</Fetch>
+        </div>
+      </FetchProvider>
+    );
+    await Promise.all(
+      wrapper
+        .find(Fetch)
+        .map(fetch => Promise.all(fetch.instance().fetcher.promises))
+    );
+
+    expect(fetchMock.calls(url).length).toBe(1);
+    expect(cache.get(url)).toBeDefined();
+  });
+
+  it('calls onError for failed requests', async () => {
+    const url = 'http://localhost';
+    const error = { message: 'Not found' };
+    fetchMock.once(url, { status: 404, body: error });
+
+    const onError = jest.fn();
+
+    const wrapper = mount(
+      <FetchProvider onError={onError}>
+        <Fetch url={url}>{() => <div />}</Fetch>
+      </FetchProvider>
+    );
+    const instance = wrapper.find(Fetch).instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0]).toEqual(error);
+    expect(onError.mock.calls[0][1]).toMatchObject({
+      loading: false,
+      error,
+      request: { url }
+    });
+  });
+
+  it('calls onError for request errors', async () => {
+    const url = 'http://localhost';
+    const error = new Error('Network error');
+    const fetchFunction = () => Promise.reject(error);
+
+    const onError = jest.fn();
+
+    const wrapper = mount(
+      <FetchProvider fetchFunction={fetchFunction} onError={onError}>
+        <Fetch url={url}>{() => <div />}</Fetch>
+      </FetchProvider>
+    );
+    const instance = wrapper.find(Fetch).instance();
+    await Promise.all(instance.fetcher.promises).catch(e => {});
+
+    expect(onError).toBeCalledWith(error, expect.objectContaining({ error }));
+  });
+
+  it('nested providers override and extend their parent', async () => {
+    fetchMock.mock('*', {});
+
+    const wrapper = mount(
+      <FetchProvider
+        baseUrl="http://localhost"
+        options={{ headers: { Authorization: 'token' } }}
+      >
+        <div>
+          <Fetch url="/users">{() => <div />}</Fetch>
+          <FetchProvider
+            baseUrl="/v2"
+            options={{ headers: { 'X-Version': 2 } }}
+          >
+            <Fetch url="/users">{() => <div />}</Fetch>
+          </FetchProvider>
+          <FetchProvider baseUrl="http://example.com">
+            <Fetch url="/users">{() => <div />}</Fetch>
+          </FetchProvider>
+        </div>
+      </FetchProvider>
+    );
+    await Promise.all(
+      wrapper
+        .find(Fetch)
+        .map(fetch => Promise.all(fetch.instance().fetcher.promises))
+    );
+
+    expect(fetchMock.calls().map(([url]) => url)).toEqual([
+      'http://localhost/users',
+      'http://localhost/v2/users',
+      'http://example.com/users'
+    ]);
+    expect(fetchMock.calls()[1][1].headers).toEqual({
+      Authorization: 'token',
+      'X-Version': 2
+    });
+    expect(fetchMock.calls()[2][1].headers).toEqual({
+      Authorization: 'token'
+    });
+  });
+
+  it('interceptors wrap those of nested providers and components', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, {});
+
+    const calls = [];
+    const interceptor = name => ({
+      request: request => {
+        calls.push(name);
+      }
+    });
+
+    const wrapper = mount(
+      <FetchProvider interceptors={[interceptor('provider')]}>
+        <FetchProvider interceptors={[interceptor('nested')]}>
+          <Fetch url={url} interceptors={[interceptor('component')]}>
+            {() => <div />}
+          </Fetch>
+        </FetchProvider>
+      </FetchProvider>
+    );
+    const instance = wrapper.find(Fetch).instance();
+    await Promise.all(instance.fetcher.promises);
+
+    expect(calls).toEqual(['provider', 'nested', 'component']);
+  });
+
+  it('only updates the context value when props change', () => {
+    const values = [];
+
+    const wrapper = mount(
+      <FetchProvider baseUrl="http://localhost">
+        <FetchContext.Consumer>
+          {value => values.push(value) && null}
+        </FetchContext.Consumer>
+      </FetchProvider>
+    );
+    wrapper.setProps({ baseUrl: 'http://localhost' });
+    wrapper.setProps({ baseUrl: 'http://example.com' });
+
+    expect(values.length).toBe(2);
+    expect(values[1].baseUrl).toBe('http://example.com');
+  });
+});
@@ -0,0 +1,971 @@
+import {
+  parseBody,
+  defaultCacheKey,
+  recordVary,
+  getMethod,
+  isIdempotent,
+  isSafe,
+  mergeOptions,
+  resolveUrl,
+  getLinks
+} from './utils';
+import SimpleCache from './SimpleCache';
+import dedupeFetch from './dedupe';
+import sendWithAuth from './auth';
+
+const defaultRetryOn = {
+  // Request timeout, too many requests, and server/gateway errors
+  status: [408, 429, 500, 502, 503, 504],
+  // Only idempotent methods are safe to send again
+  method: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  // Network errors (CORS issues, connection reset, etc) but not aborted requests
+  error: error => error.name !== 'AbortError'
+};
+const maxRetryDelay = 30000;
+
+function isDocumentHidden() {
+  return typeof document !== 'undefined' && document.hidden === true;
+}
+
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, delay);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        const error = new Error(
+          'The request was aborted while waiting to retry'
+        );
+        error.name = 'AbortError';
+        reject(error);
+      });
+    }
+  });
+}
+
+// Mounted fetchers, so they can be refreshed when their cache entries are changed elsewhere (ex. by a mutation)
+const mountedFetchers = [];
+
+// Send the last request again for mounted fetchers using `cache` whose last request was stored under one of `keys`
+export function refreshCached(cache, keys) {
+  mountedFetchers
+    .filter(
+      fetcher =>
+        fetcher.cache === cache &&
+        fetcher.lastFetch &&
+        keys.indexOf(fetcher.lastFetch.key) !== -1
+    )
+    .forEach(fetcher => fetcher.refetch());
+}
+
+// Requests of components suspended before mounting, by cache and key.  React discards the instances which
+// suspended, so the instance rendered once the request settles reads its state from here
+const suspendedRequests = new WeakMap();
+
+function getSuspendedRequests(cache) {
+  let requests = suspendedRequests.get(cache);
+  if (!requests) {
+    requests = {};
+    suspendedRequests.set(cache, requests);
+  }
+  return requests;
+}
+
+export const defaultProps = {
+  as: 'auto',
+  fetchFunction: (url, options) => fetch(url, options),
+  retry: 0,
+  retryDelay: 1000,
+  cachePolicy: 'cache-first',
+  cacheKey: defaultCacheKey,
+  cacheUnsafeMethods: false,
+  dedupe: false
+};
+
+// Sends requests and tracks their state for `<Fetch />` and `useFetch`, which pass in the current `props` and
+// `<FetchProvider />` `context`, call the lifecycle methods, and render the state passed to `onStateChange`
+export default class Fetcher {
+  cache = null;
+  promises = [];
+  controllers = [];
+  pollInterval = null;
+  pollTimer = null;
+  pollPending = false;
+
+  constructor(props, context, onStateChange) {
+    this.props = props;
+    this.context = context;
+    this.onStateChange = onStateChange;
+    this.state = {
+      request: {
+        url: props.url,
+        options: props.options
+      },
+      fetch: this.fetch.bind(this),
+      clearData: this.clearData.bind(this),
+      abort: this.abort.bind(this),
+      startPolling: this.startPolling.bind(this),
+      stopPolling: this.stopPolling.bind(this),
+      loading: null,
+      links: {},
+      retryCount: 0,
+      nextRetryAt: null,
+      isStale: false,
+      revalidating: false
+    };
+
+    const cachedState = this.getCachedState();
+    if (cachedState) {
+      this.state = { ...this.state, ...cachedState };
+    } else if (context && context.ssr) {
+      this.preload(context.ssr);
+    }
+  }
+
+  setState(nextState) {
+    this.state = { ...this.state, ...nextState };
+    this.onStateChange(this.state);
+  }
+
+  // Props passed explicitly, then the defaults from the nearest `<FetchProvider />`, then `defaultProps`
+  getProps() {
+    const { options, interceptors, ssr, ...defaults } = this.context || {};
+    const props = { ...this.props };
+
+    [defaults, defaultProps].forEach(values => {
+      Object.keys(values).forEach(key => {
+        if (props[key] === undefined) {
+          props[key] = values[key];
+        }
+      });
+    });
+
+    return props;
+  }
+
+  // Interceptors from `<FetchProvider />` wrap the component's own
+  getInterceptors() {
+    const context = this.context || {};
+    return [].concat(context.interceptors || [], this.props.interceptors || []);
+  }
+
+  getOptions(options) {
+    return typeof options === 'function' ? options() : options;
+  }
+
+  // Resolve the url against `baseUrl` and merge the options with the defaults from a `<FetchProvider />`.  Also
+  // returns the merged options before evaluating them (if a function)
+  getRequest(url, options) {
+    const props = this.getProps();
+
+    const requestOptions = mergeOptions(
+      this.context && this.context.options,
+      options || props.options
+    );
+
+    return {
+      url: resolveUrl(props.baseUrl, url == null ? props.url : url),
+      options: this.getOptions(requestOptions),
+      requestOptions
+    };
+  }
+
+  // Returns `null` if the request should not use the cache
+  getCacheKey(url, options, cache = this.cache) {
+    const { cacheKey, cacheUnsafeMethods } = this.getProps();
+
+    if (!cache || (!isSafe(options) && !cacheUnsafeMethods)) {
+      return null;
+    }
+
+    return cacheKey(url, options);
+  }
+
+  // Resolved state of the cached response to the initial request (ex. prefetched or rendered on the server), so it
+  // is rendered before mounting.  Requires a cache with `getState(key)`
+  getCachedState() {
+    const { url, options, manual, cache, cachePolicy } = this.getProps();
+
+    if (
+      !url ||
+      manual ||
+      cachePolicy === 'network-only' ||
+      !cache ||
+      typeof cache.getState !== 'function'
+    ) {
+      return undefined;
+    }
+
+    const request = this.getRequest(url, options);
+    const key = this.getCacheKey(request.url, request.options, cache);
+    const cachedState = key != null ? cache.getState(key) : undefined;
+
+    return cachedState && cachePolicy === 'cache-and-network'
+      ? { ...cachedState, isStale: true, revalidating: true }
+      : cachedState;
+  }
+
+  // Send the initial request while rendering on the server (see `getDataFromTree`), so the response is cached for
+  // the next render.  Only requests stored in a shared cache are sent, and each only once
+  preload(ssr) {
+    const { url, options, manual, cache, cachePolicy } = this.getProps();
+
+    if (
+      !url ||
+      manual ||
+      cachePolicy === 'network-only' ||
+      !cache ||
+      typeof cache !== 'object'
+    ) {
+      return;
+    }
+
+    this.setCache(cache);
+    const request = this.getRequest(url, options);
+    const key = this.getCacheKey(request.url, request.options);
+    if (
+      key == null ||
+      ssr.requested.some(entry => entry.cache === cache && entry.key === key)
+    ) {
+      return;
+    }
+
+    ssr.requested.push({ cache, key });
+    // Failed requests are sent again by the client
+    ssr.requests.push(
+      Promise.resolve(this.fetch(url, options)).catch(() => {})
+    );
+  }
+
+  // The state to render, unless using `suspense` where the pending request is thrown (for `<Suspense />`) as
+  // well as any error (for an error boundary)
+  read(state) {
+    const { url, options, manual, cache, suspense } = this.getProps();
+    if (!suspense) {
+      return state;
+    }
+
+    if (state.loading === null && url && !manual) {
+      // Not yet requested (i.e. not mounted and nothing cached)
+      if (!cache || typeof cache !== 'object') {
+        throw new Error(
+          'The "suspense" prop requires a shared "cache" (ex. passed to a <FetchProvider />)'
+        );
+      }
+
+      const request = this.getRequest(url, options);
+      const key =
+        this.getCacheKey(request.url, request.options, cache) || request.url;
+      const requests = getSuspendedRequests(cache);
+      const entry = requests[key];
+
+      if (!entry) {
+        this.setCache(cache);
+        const newEntry = { state: undefined, read: false };
+        newEntry.promise = Promise.resolve(this.fetch(url, options)).then(
+          fetchState => {
+            newEntry.state = fetchState;
+          },
+          error => {
+            newEntry.state = { error, loading: false };
+          }
+        );
+        requests[key] = newEntry;
+        throw newEntry.promise;
+      } else if (!entry.state) {
+        throw entry.promise;
+      }
+
+      if (!entry.read) {
+        // Removed once rendered, as siblings using the same key (or React rendering again after an error) read it
+        // in the same render
+        entry.read = true;
+        Promise.resolve().then(() => {
+          if (requests[key] === entry) {
+            delete requests[key];
+          }
+        });
+      }
+      state = { ...state, ...entry.state };
+    } else if (state.loading && this.promises.length) {
+      throw this.promises[this.promises.length - 1];
+    }
+
+    if (state.error !== undefined) {
+      throw state.error;
+    }
+
+    return state;
+  }
+
+  createAbortController(options) {
+    if (typeof AbortController === 'undefined') {
+      return null;
+    }
+
+    const controller = new AbortController();
+    if (options && options.signal) {
+      // Honor a signal passed in by the user while still being able to abort ourselves
+      options.signal.addEventListener('abort', () => controller.abort());
+    }
+    return controller;
+  }
+
+  setCache(cache) {
+    this.cacheProp = cache;
+    this.cache =
+      cache === true
+        ? new SimpleCache()
+        : typeof cache === 'object' ? cache : null;
+
+    if (this.unsubscribeCache) {
+      this.unsubscribeCache();
+      this.unsubscribeCache = null;
+    }
+    this.subscribeKey(null);
+    if (
+      this.mounted &&
+      this.cache &&
+      typeof this.cache.onInvalidate === 'function'
+    ) {
+      // Request invalidated entries again
+      this.unsubscribeCache = this.cache.onInvalidate(keys => {
+        if (this.lastFetch && keys.indexOf(this.lastFetch.key) !== -1) {
+          this.refetch();
+        }
+      });
+    }
+  }
+
+  // Listen for changes to the cache entry of the last request
+  subscribeKey(key) {
+    if (key === this.subscribedKey) {
+      return;
+    }
+
+    if (this.unsubscribeKey) {
+      this.unsubscribeKey();
+      this.unsubscribeKey = null;
+    }
+    this.subscribedKey = null;
+
+    if (
+      key != null &&
+      this.mounted &&
+      this.cache &&
+      typeof this.cache.subscribe === 'function'
+    ) {
+      this.subscribedKey = key;
+      this.unsubscribeKey = this.cache.subscribe(key, this.handleCacheChange);
+    }
+  }
+
+  // Render the entry when set elsewhere (ex. by another component or a mutation)
+  handleCacheChange = promise => {
+    if (promise === undefined) {
+      // Removed (ex. expired, evicted, or invalidated) so the data is no longer shared
+      if (this.state.data !== undefined && !this.state.isStale) {
+        this.update({ isStale: true });
+      }
+      return;
+    }
+
+    if (this.promises.indexOf(promise) !== -1) {
+      // Set by this component
+      return;
+    }
+
+    this.promises.push(promise);
+    promise.then(
+      state => this.update(state, promise),
+      error => this.update({ error, loading: false }, promise)
+    );
+    // Once updated, as polls wait for every request in `promises` to settle
+    this.pollAfter(promise);
+  };
+
+  didMount() {
+    const {
+      url,
+      options,
+      manual,
+      onChange,
+      cache,
+      pollInterval
+    } = this.getProps();
+    this.mounted = true;
+    mountedFetchers.push(this);
+
+    this.setCache(cache);
+
+    if (typeof document !== 'undefined') {
+      document.addEventListener(
+        'visibilitychange',
+        this.handleVisibilityChange
+      );
+    }
+
+    if (typeof onChange === 'function') {
+      onChange(this.state);
+    }
+
+    if (url && !manual) {
+      this.fetch(url, options);
+    }
+
+    if (pollInterval) {
+      this.startPolling(pollInterval);
+    }
+  }
+
+  didUpdate(prevProps) {
+    const { url, options, manual, cache, pollInterval } = this.getProps();
+    if (url !== prevProps.url && !manual) {
+      // Responses for the previous url are no longer wanted
+      this.abortRequests(this.promises);
+      this.fetch(url, options);
+    }
+
+    // The cache may also be changed by a `<FetchProvider />`
+    if (cache !== this.cacheProp) {
+      this.setCache(cache);
+    }
+
+    if (pollInterval !== prevProps.pollInterval) {
+      if (pollInterval) {
+        this.startPolling(pollInterval);
+      } else {
+        this.stopPolling();
+      }
+    }
+  }
+
+  willUnmount() {
+    this.mounted = false;
+    mountedFetchers.splice(mountedFetchers.indexOf(this), 1);
+
+    if (this.unsubscribeCache) {
+      this.unsubscribeCache();
+      this.unsubscribeCache = null;
+    }
+    this.subscribeKey(null);
+    this.stopPolling();
+
+    if (typeof document !== 'undefined') {
+      document.removeEventListener(
+        'visibilitychange',
+        this.handleVisibilityChange
+      );
+    }
+
+    // `onChange` is still called once unmounted, so only abort if nobody is listening
+    if (typeof this.getProps().onChange !== 'function') {
+      this.abortRequests(this.promises);
+    }
+  }
+
+  fetch(url, options, updateOptions) {
+    const props = this.getProps();
+    const { as, onError } = props;
+    // Polls pass `network-only` so they do not replay the cached response
+    const cachePolicy =
+      (updateOptions && updateOptions.cachePolicy) || props.cachePolicy;
+    const lastFetch = { url, options };
+
+    const { requestOptions, ...request } = this.getRequest(url, options);
+    url = request.url;
+    options = request.options;
+
+    const key = this.getCacheKey(url, options);
+    this.lastFetch = { ...lastFetch, key };
+    this.subscribeKey(key);
+    const cachedPromise =
+      key != null && cachePolicy !== 'network-only'
+        ? this.cache.get(key)
+        : undefined;
+    // Render the cached state immediately but also request a fresh response
+    const revalidate = !!cachedPromise && cachePolicy === 'cache-and-network';
+
+    if (cachedPromise) {
+      // Restore cached state, including request errors (ex. kept with `cacheErrors` or of a shared pending request)
+      cachedPromise.then(
+        cachedState =>
+          this.update(
+            revalidate
+              ? { ...cachedState, isStale: true, revalidating: true }
+              : cachedState,
+            cachedPromise,
+            updateOptions
+          ),
+        error =>
+          this.update(
+            { error, loading: false, data: undefined },
+            cachedPromise,
+            updateOptions
+          )
+      );
+      this.promises.push(cachedPromise);
+      this.pollAfter(cachedPromise);
+
+      if (!revalidate) {
+        return cachedPromise;
+      }
+    } else if (cachePolicy === 'cache-only') {
+      // Nothing cached and not allowed to request
+      this.update({ request, loading: false }, null, updateOptions);
+      return;
+    }
+
+    // Show the provisional data while the request is pending, and restore the previous data if it fails
+    const { optimisticData } = updateOptions || {};
+    const optimistic = optimisticData !== undefined;
+    const previousData = this.state.data;
+
+    this.update(
+      {
+        request,
+        // Keep showing the cached (stale) data instead of a loading state while revalidating
+        ...(revalidate
+          ? { revalidating: true }
+          : { loading: true, isStale: false, revalidating: false }),
+        ...(optimistic && {
+          data:
+            typeof optimisticData === 'function'
+              ? optimisticData(previousData)
+              : optimisticData
+        }),
+        retryCount: 0,
+        nextRetryAt: null
+      },
+      null,
+      updateOptions
+    );
+    // A response replaces the optimistic data, so `onDataChange` receives the data from before it
+    const responseOptions = optimistic
+      ? { ...updateOptions, previousData }
+      : updateOptions;
+    const restoreOptions = optimistic
+      ? { ...responseOptions, restoringData: true }
+      : updateOptions;
+
+    const controller = this.createAbortController(options);
+
+    const onRetry = retryState => {
+      // Only report retries of requests which have not been superseded
+      if (this.promises.indexOf(promise) !== -1) {
+        this.update(retryState, null, updateOptions);
+      }
+    };
+
+    const promise = this.sendRequest(
+      request,
+      controller && controller.signal,
+      onRetry,
+      // Options are evaluated again when replaying the request after refreshing authentication
+      () => this.getOptions(requestOptions)
+    )
+      .then(({ request, response }) => {
+        recordVary(url, options, response);
+
+        const dataPromise =
+          typeof as === 'function'
+            ? as(response)
+            : typeof as === 'object'
+              ? parseBody(response, as)
+              : as === 'auto' ? parseBody(response) : response[as]();
+
+        return dataPromise
+          .then(data => ({ request, response, data }))
+          .catch(error => ({ request, response, data: error }));
+      })
+      .then(({ request, response, data }) => {
+        const newState = {
+          request,
+          loading: false,
+          [response.ok ? 'error' : 'data']: undefined, // Clear last response
+          [response.ok ? 'data' : 'error']: data,
+          response,
+          links: getLinks(response, request.url),
+          nextRetryAt: null,
+          isStale: revalidate && !response.ok,
+          revalidating: false
+        };
+
+        if (revalidate && !response.ok) {
+          // Keep showing the stale data along with the error
+          delete newState.data;
+        } else if (optimistic && !response.ok) {
+          newState.data = previousData;
+        }
+
+        this.update(
+          newState,
+          promise,
+          response.ok ? responseOptions : restoreOptions
+        );
+
+        if (!response.ok && typeof onError === 'function') {
+          onError(newState.error, { ...this.state, ...newState });
+        }
+
+        return newState;
+      })
+      .catch(error => {
+        if (controller && controller.signal.aborted) {
+          // Aborted by this component (superseded, unmounted, or `abort()` called) so nothing to update
+          return { request, loading: false };
+        }
+
+        // Catch request errors with no response (CORS issues, etc)
+        const newState = {
+          request,
+          // Keep showing the stale data along with the error
+          ...(!revalidate && { data: optimistic ? previousData : undefined }),
+          error,
+          loading: false,
+          nextRetryAt: null,
+          isStale: revalidate,
+          revalidating: false
+        };
+
+        this.update(newState, promise, restoreOptions);
+
+        if (typeof onError === 'function') {
+          onError(error, { ...this.state, ...newState });
+        }
+
+        // Rethrow so not to swallow errors, especially from errors within handlers (children func / onChange)
+        throw error;
+
+        return newState;
+      });
+
+    this.promises.push(promise);
+    this.pollAfter(promise);
+
+    if (controller) {
+      this.controllers.push({
+        promise,
+        controller,
+        key,
+        // A private cache (`cache={true}`) is not shared, so its requests are aborted like those not cached
+        shared: key != null && this.cacheProp !== true
+      });
+    }
+
+    if (key != null) {
+      const { cacheErrors, cacheTags } = props;
+      this.cache.set(key, promise, {
+        ...(cacheErrors !== undefined && { cacheErrors }),
+        ...(cacheTags && { tags: cacheTags }),
+        // Allows invalidating by url when the key is not the url
+        ...(key !== url && { url })
+      });
+    }
+
+    return promise;
+  }
+
+  // Send the last request again (ex. when its cache entry was invalidated)
+  refetch() {
+    const { url, options } = this.lastFetch;
+    return this.fetch(url, options);
+  }
+
+  // Request interceptors are run in order, then the response interceptors in reverse order
+  // (so the first interceptor sees the request first and the response last)
+  sendRequest(request, signal, onRetry, getOptions) {
+    const { refreshAuth, onAuthError } = this.getProps();
+    const interceptors = this.getInterceptors();
+    let finalRequest = request;
+
+    const dispatch = ({ response, ...request }) => {
+      finalRequest = request;
+
+      const options = signal ? { ...request.options, signal } : request.options;
+      // Allows a response interceptor to send the request again (ex. after refreshing a token)
+      const retry = (nextRequest = request) => send(nextRequest);
+
+      return interceptors.reduceRight(
+        (promise, interceptor) =>
+          interceptor.response
+            ? promise.then(response =>
+                Promise.resolve(
+                  interceptor.response(response, request, retry)
+                ).then(next => next || response)
+              )
+            : promise,
+        response
+          ? Promise.resolve(response)
+          : this.fetchWithRetry(request.url, options, request, onRetry)
+      );
+    };
+
+    const send = request =>
+      interceptors.some(interceptor => interceptor.request)
+        ? interceptors
+            .reduce(
+              (promise, interceptor) =>
+                promise.then(
+                  request =>
+                    // Returning a `response` skips the remaining request interceptors and the network
+                    interceptor.request && !request.response
+                      ? Promise.resolve(interceptor.request(request)).then(
+                          next => next || request
+                        )
+                      : request
+                ),
+              Promise.resolve(request)
+            )
+            .then(dispatch)
+        : // Send immediately when there is nothing to wait for
+          dispatch(request);
+
+    const promise = refreshAuth
+      ? sendWithAuth(
+          refreshAuth,
+          authOptions =>
+            send(
+              authOptions
+                ? {
+                    url: request.url,
+                    options: mergeOptions(getOptions(), authOptions)
+                  }
+                : request
+            ),
+          onAuthError
+        )
+      : send(request);
+
+    return promise.then(response => ({
+      request: finalRequest,
+      response
+    }));
+  }
+
+  shouldRetry(attempt, error, response, request) {
+    const { retry, retryOn } = this.getProps();
+    const { options } = request;
+
+    if (attempt >= retry) {
+      return false;
+    }
+
+    if (typeof retryOn === 'function') {
+      return !!retryOn(attempt, error, response, request);
+    }
+
+    const policy = Array.isArray(retryOn)
+      ? { ...defaultRetryOn, status: retryOn }
+      : { ...defaultRetryOn, ...retryOn };
+
+    if (policy.method.indexOf(getMethod(options)) === -1) {
+      return false;
+    }
+
+    if (error) {
+      return typeof policy.error === 'function'
+        ? !!policy.error(error)
+        : !!policy.error;
+    } else {
+      return policy.status.indexOf(response.status) !== -1;
+    }
+  }
+
+  getRetryDelay(attempt, error, response) {
+    const { retryDelay } = this.getProps();
+
+    if (typeof retryDelay === 'function') {
+      return retryDelay(attempt, error, response);
+    }
+
+    // Exponential backoff with jitter (between half and the full delay) so clients do not retry in lockstep
+    const delay = Math.min(retryDelay * Math.pow(2, attempt), maxRetryDelay);
+    return delay / 2 + Math.random() * delay / 2;
+  }
+
+  fetchOnce(url, options, request) {
+    const { fetchFunction, dedupe, cacheKey } = this.getProps();
+
+    // Only idempotent requests are safe to share
+    const key =
+      dedupe && isIdempotent(request.options)
+        ? cacheKey(request.url, request.options)
+        : null;
+
+    return key != null
+      ? dedupeFetch(key, fetchFunction, url, options, this)
+      : fetchFunction(url, options);
+  }
+
+  fetchWithRetry(url, options, request, onRetry, attempt = 0) {
+    const signal = options && options.signal;
+
+    const retryLater = (error, response) => {
+      if (
+        (signal && signal.aborted) ||
+        !this.shouldRetry(attempt, error, response, request)
+      ) {
+        return error ? Promise.reject(error) : response;
+      }
+
+      const delay = this.getRetryDelay(attempt, error, response);
+      onRetry({ retryCount: attempt + 1, nextRetryAt: Date.now() + delay });
+
+      return wait(delay, signal).then(() =>
+        this.fetchWithRetry(url, options, request, onRetry, attempt + 1)
+      );
+    };
+
+    return this.fetchOnce(url, options, request).then(
+      response => (response.ok ? response : retryLater(null, response)),
+      error => retryLater(error)
+    );
+  }
+
+  startPolling(interval = this.getProps().pollInterval) {
+    this.pollInterval = interval;
+    this.schedulePoll();
+  }
+
+  stopPolling() {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    this.pollInterval = null;
+    this.pollPending = false;
+  }
+
+  pollAfter(promise) {
+    // Schedule the next poll once the request settles so polls never overlap
+    promise.then(
+      ({ error, response }) =>
+        this.schedulePoll(error != null || (response && !response.ok)),
+      error => this.schedulePoll(true)
+    );
+  }
+
+  schedulePoll(failed) {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+
+    if (!this.mounted || !this.pollInterval || this.promises.length) {
+      // Not polling, or wait for the in-flight request to settle
+      return;
+    }
+
+    if (failed && !this.getProps().pollOnError) {
+      return;
+    }
+
+    this.pollTimer = setTimeout(() => this.poll(), this.pollInterval);
+  }
+
+  poll() {
+    const { url, options, pollWhileHidden } = this.getProps();
+    this.pollTimer = null;
+
+    if (!pollWhileHidden && isDocumentHidden()) {
+      // Poll once the page is visible again (see `handleVisibilityChange`)
+      this.pollPending = true;
+      return;
+    }
+
+    // Request a fresh response, which replaces the cached one
+    this.fetch(url, options, { cachePolicy: 'network-only' });
+  }
+
+  handleVisibilityChange = () => {
+    if (this.pollPending && !isDocumentHidden()) {
+      this.pollPending = false;
+      this.poll();
+    }
+  };
+
+  clearData() {
+    this.setState({ data: undefined });
+  }
+
+  abort() {
+    const promises = this.promises.splice(0, this.promises.length);
+    this.abortRequests(promises, true);
+
+    if (promises.length) {
+      this.update({ loading: false });
+    }
+  }
+
+  abortRequests(promises, force = false) {
+    this.controllers = this.controllers.filter(
+      ({ promise, controller, key, shared }) => {
+        if (promises.indexOf(promise) === -1) {
+          return true;
+        }
+
+        // Requests stored in a shared cache may be used by other instances, so only abort them if forced
+        if (!shared || force) {
+          controller.abort();
+
+          if (key != null && this.cache && this.cache.get(key) === promise) {
+            this.cache.remove(key);
+          }
+        }
+
+        return false;
+      }
+    );
+  }
+
+  update(nextState, currentPromise, options = {}) {
+    if (currentPromise) {
+      // Handle (i.e. ignore) promises resolved out of order from requests
+      const index = this.promises.indexOf(currentPromise);
+      if (index === -1) {
+        // Ignore update as a later request/promise has already been processed
+        return;
+      }
+
+      // Remove currently resolved promise and any outstanding promises
+      // (which will cause them to be ignored when they do resolve/reject)
+      const removed = this.promises.splice(0, index + 1);
+
+      // Abort the outstanding requests as their responses would be ignored anyway
+      this.abortRequests(removed.filter(p => p !== currentPromise));
+      this.controllers = this.controllers.filter(
+        ({ promise }) => promise !== currentPromise
+      );
+    }
+
+    const { onChange, onDataChange } = this.getProps();
+
+    let data = undefined;
+    if (
+      nextState.data &&
+      nextState.data !== this.state.data &&
+      typeof onDataChange === 'function' &&
+      // Restored data (after a failed optimistic update) was already passed through `onDataChange`
+      !options.restoringData
+    ) {
+      data = onDataChange(
+        nextState.data,
+        options.ignorePreviousData
+          ? undefined
+          : 'previousData' in options ? options.previousData : this.state.data
+      );
+    }
+
+    if (typeof onChange === 'function') {
+      // Always call onChange even if unmounted.  Useful for `POST` requests with a redirect
+      onChange({
+        ...this.state,
+        ...nextState,
+        ...(data !== undefined && { data })
+      });
+    }
+
+    // Ignore passing state down if no longer mounted
+    if (this.mounted) {
+      // If `onDataChange` prop returned a value, we use it for data passed down to the children function
+      this.setState({ ...nextState, ...(data !== undefined && { data }) });
+    }
+  }
+}
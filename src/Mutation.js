@@ -0,0 +1,7 @@
+import useMutation from './useMutation';
+import { renderChildren } from './utils';
+
+// Component version of `useMutation`, passing its result (including `mutate`) to the child function
+export default function Mutation({ url, children, ...props }) {
+  return renderChildren(children, useMutation(url, props));
+}
@@ -0,0 +1,434 @@
+import React from 'react';
+import { configure, mount } from 'enzyme';
+import Adapter from 'enzyme-adapter-react-16';
+import { act } from 'react-dom/test-utils';
+import fetchMock from 'fetch-mock';
+
+fetchMock.config.overwriteRoutes = false;
+
+import Fetch, { Mutation, FetchProvider, SimpleCache } from './';
+import { sleep, lastCall } from '../config/testUtils';
+
+configure({ adapter: new Adapter() });
+
+afterEach(fetchMock.restore);
+
+const mutate = async (mockChildren, variables) => {
+  const calls = mockChildren.mock.calls;
+  let result;
+  await act(async () => {
+    result = await calls[calls.length - 1][0].mutate(variables);
+  });
+  return result;
+};
+
+describe('Mutation', () => {
+  it('does not send a request until "mutate" is called', async () => {
+    const url = 'http://localhost/todos';
+    fetchMock.mock(url, {});
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(<Mutation url={url}>{mockChildren}</Mutation>);
+    await sleep(10);
+
+    expect(fetchMock.called(url)).toBe(false);
+    expect(lastCall(mockChildren)).toMatchObject({
+      loading: null,
+      mutate: expect.any(Function)
+    });
+  });
+
+  it('sends variables as JSON', async () => {
+    const url = 'http://localhost/todos';
+    const todo = { id: 1, title: 'Write tests' };
+    fetchMock.once(url, todo);
+
+    const onSuccess = jest.fn();
+    const onSettled = jest.fn();
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <Mutation url={url} onSuccess={onSuccess} onSettled={onSettled}>
+        {mockChildren}
+      </Mutation>
+    );
+    const result = await mutate(mockChildren, { title: 'Write tests' });
+
+    expect(fetchMock.lastOptions(url)).toMatchObject({
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"title":"Write tests"}'
+    });
+    expect(result).toMatchObject({ data: todo });
+    expect(lastCall(mockChildren)).toMatchObject({
+      loading: false,
+      data: todo
+    });
+    expect(onSuccess).toBeCalledWith(
+      todo,
+      { title: 'Write tests' },
+      expect.objectContaining({ data: todo })
+    );
+    expect(onSettled).toBeCalledWith(
+      todo,
+      undefined,
+      { title: 'Write tests' },
+      expect.objectContaining({ data: todo })
+    );
+  });
+
+  it('supports url and options as functions of the variables', async () => {
+    fetchMock.once('http://localhost/todos/1', 204);
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <Mutation
+        url={({ id }) => `http://localhost/todos/${id}`}
+        options={({ id }) => ({ method: 'DELETE' })}
+      >
+        {mockChildren}
+      </Mutation>
+    );
+    await mutate(mockChildren, { id: 1 });
+
+    expect(fetchMock.lastOptions('http://localhost/todos/1')).toMatchObject({
+      method: 'DELETE'
+    });
+  });
+
+  it('calls "onError" when the response is not ok', async () => {
+    const url = 'http://localhost/todos';
+    const error = { message: 'Title is required' };
+    fetchMock.once(url, { status: 422, body: error });
+
+    const onSuccess = jest.fn();
+    const onError = jest.fn();
+    const onSettled = jest.fn();
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <Mutation
+        url={url}
+        onSuccess={onSuccess}
+        onError={onError}
+        onSettled={onSettled}
+      >
+        {mockChildren}
+      </Mutation>
+    );
+    await mutate(mockChildren, {});
+
+    expect(onSuccess).not.toBeCalled();
+    expect(onError).toBeCalledWith(
+      error,
+      {},
+      expect.objectContaining({ error })
+    );
+    expect(onSettled).toBeCalledWith(
+      undefined,
+      error,
+      {},
+      expect.objectContaining({ error })
+    );
+    expect(lastCall(mockChildren)).toMatchObject({ loading: false, error });
+  });
+
+  it('calls "onError" when the request throws', async () => {
+    const url = 'http://localhost/todos';
+    const error = new Error('Network error');
+    const fetchFunction = () => Promise.reject(error);
+
+    const onError = jest.fn();
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <Mutation url={url} fetchFunction={fetchFunction} onError={onError}>
+        {mockChildren}
+      </Mutation>
+    );
+    const result = await mutate(mockChildren, {});
+
+    expect(result).toMatchObject({ error });
+    expect(onError).toBeCalledWith(
+      error,
+      {},
+      expect.objectContaining({ error })
+    );
+  });
+
+  it('invalidates cache keys and refreshes mounted components', async () => {
+    const listUrl = 'http://localhost/todos';
+    const todo = { id: 1, title: 'Write tests' };
+    fetchMock.getOnce(listUrl, []);
+    fetchMock.getOnce(listUrl, [todo]);
+    fetchMock.post(listUrl, todo);
+    const cache = new SimpleCache();
+
+    const listChildren = jest.fn();
+    listChildren.mockReturnValue(<div />);
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <div>
+        <Fetch url={listUrl} cache={cache}>
+          {listChildren}
+        </Fetch>
+        <Mutation url={listUrl} cache={cache} invalidate={[listUrl]}>
+          {mockChildren}
+        </Mutation>
+      </div>
+    );
+    await sleep(10);
+    expect(lastCall(listChildren)).toMatchObject({ data: [] });
+
+    await mutate(mockChildren, { title: 'Write tests' });
+    await sleep(10);
+
+    expect(fetchMock.calls(listUrl).length).toBe(3);
+    expect(lastCall(listChildren)).toMatchObject({ data: [todo] });
+  });
+
+  it('updates cache keys without sending requests', async () => {
+    const listUrl = 'http://localhost/todos';
+    const todo = { id: 1, title: 'Write tests' };
+    fetchMock.get(listUrl, []);
+    fetchMock.post(listUrl, todo);
+
+    const listChildren = jest.fn();
+    listChildren.mockReturnValue(<div />);
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    // Uses the provider's cache
+    mount(
+      <FetchProvider cache={new SimpleCache()}>
+        <div>
+          <Fetch url={listUrl}>{listChildren}</Fetch>
+          <Mutation
+            url={listUrl}
+            update={{ [listUrl]: (todos, todo) => [...todos, todo] }}
+          >
+            {mockChildren}
+          </Mutation>
+        </div>
+      </FetchProvider>
+    );
+    await sleep(10);
+
+    await mutate(mockChildren, { title: 'Write tests' });
+    await sleep(10);
+
+    expect(fetchMock.calls(listUrl).length).toBe(2);
+    expect(lastCall(listChildren)).toMatchObject({ data: [todo] });
+  });
+
+  it('supports invalidate and update as functions', async () => {
+    const todo = { id: 1, title: 'Write tests' };
+    fetchMock.put('http://localhost/todos/1', todo);
+    const cache = new SimpleCache();
+    cache.set('http://localhost/todos/1', Promise.resolve({ data: {} }));
+    cache.set('http://localhost/todos', Promise.resolve({ data: [] }));
+
+    const invalidate = jest.fn(todo => [`http://localhost/todos/${todo.id}`]);
+    const update = jest.fn(() => ({
+      'http://localhost/todos': (todos, todo) => [todo]
+    }));
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <Mutation
+        url="http://localhost/todos/1"
+        options={{ method: 'PUT' }}
+        cache={cache}
+        invalidate={invalidate}
+        update={update}
+      >
+        {mockChildren}
+      </Mutation>
+    );
+    await mutate(mockChildren, { title: 'Write tests' });
+
+    expect(invalidate).toBeCalledWith(todo, { title: 'Write tests' });
+    expect(update).toBeCalledWith(todo, { title: 'Write tests' });
+    expect(cache.get('http://localhost/todos/1')).toBeUndefined();
+    expect(await cache.get('http://localhost/todos')).toEqual({
+      data: [todo]
+    });
+  });
+
+  it('renders "optimisticData" and updates the cache optimistically', async () => {
+    const listUrl = 'http://localhost/todos';
+    const todo = { id: 1, title: 'Write tests' };
+    fetchMock.get(listUrl, []);
+    fetchMock.post(
+      listUrl,
+      new Promise(resolve => setTimeout(resolve, 50)).then(() => todo)
+    );
+    const cache = new SimpleCache();
+
+    const listChildren = jest.fn();
+    listChildren.mockReturnValue(<div />);
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <div>
+        <Fetch url={listUrl} cache={cache}>
+          {listChildren}
+        </Fetch>
+        <Mutation
+          url={listUrl}
+          cache={cache}
+          optimisticData={variables => ({ id: 'new', ...variables })}
+          update={{ [listUrl]: (todos, todo) => [...todos, todo] }}
+        >
+          {mockChildren}
+        </Mutation>
+      </div>
+    );
+    await sleep(10);
+
+    const promise = mutate(mockChildren, { title: 'Write tests' });
+    await sleep(10);
+
+    expect(lastCall(mockChildren)).toMatchObject({
+      loading: true,
+      data: { id: 'new', title: 'Write tests' }
+    });
+    expect(lastCall(listChildren)).toMatchObject({
+      data: [{ id: 'new', title: 'Write tests' }]
+    });
+
+    await promise;
+    await sleep(10);
+
+    expect(lastCall(mockChildren)).toMatchObject({
+      loading: false,
+      data: todo
+    });
+    // Updated from the data before the optimistic update
+    expect(lastCall(listChildren)).toMatchObject({ data: [todo] });
+    expect(fetchMock.calls(listUrl).length).toBe(2);
+  });
+
+  it('restores the cache if the request fails', async () => {
+    const listUrl = 'http://localhost/todos';
+    const error = { message: 'Title is required' };
+    fetchMock.get(listUrl, []);
+    fetchMock.post(listUrl, { status: 422, body: error });
+    const cache = new SimpleCache();
+
+    const listChildren = jest.fn();
+    listChildren.mockReturnValue(<div />);
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <div>
+        <Fetch url={listUrl} cache={cache}>
+          {listChildren}
+        </Fetch>
+        <Mutation
+          url={listUrl}
+          cache={cache}
+          optimisticData={{ id: 'new' }}
+          update={{ [listUrl]: (todos, todo) => [...todos, todo] }}
+        >
+          {mockChildren}
+        </Mutation>
+      </div>
+    );
+    await sleep(10);
+
+    await mutate(mockChildren, {});
+    await sleep(10);
+
+    expect(lastCall(mockChildren)).toMatchObject({
+      loading: false,
+      data: undefined,
+      error
+    });
+    expect(lastCall(listChildren)).toMatchObject({ data: [] });
+    expect(await cache.get(listUrl)).toMatchObject({ data: [] });
+    expect(fetchMock.calls(listUrl).length).toBe(2);
+  });
+
+  it('invalidates cache entries by tags', async () => {
+    const listUrl = 'http://localhost/todos?done=false';
+    const todo = { id: 1, title: 'Write tests' };
+    fetchMock.getOnce(listUrl, []);
+    fetchMock.getOnce(listUrl, [todo]);
+    fetchMock.post('http://localhost/todos', todo);
+    const cache = new SimpleCache();
+
+    const listChildren = jest.fn();
+    listChildren.mockReturnValue(<div />);
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <div>
+        <Fetch url={listUrl} cache={cache} cacheTags={['todos']}>
+          {listChildren}
+        </Fetch>
+        <Mutation
+          url="http://localhost/todos"
+          cache={cache}
+          invalidate={{ tags: ['todos'] }}
+        >
+          {mockChildren}
+        </Mutation>
+      </div>
+    );
+    await sleep(10);
+
+    await mutate(mockChildren, { title: 'Write tests' });
+    await sleep(10);
+
+    expect(fetchMock.calls(listUrl).length).toBe(2);
+    expect(lastCall(listChildren)).toMatchObject({ data: [todo] });
+  });
+
+  it('keeps the tags and remaining ttl of updated entries', async () => {
+    const listUrl = 'http://localhost/todos';
+    const todo = { id: 1, title: 'Write tests' };
+    fetchMock.get(listUrl, []);
+    fetchMock.post(listUrl, todo);
+    const cache = new SimpleCache({ ttl: 1000 });
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <div>
+        <Fetch url={listUrl} cache={cache} cacheTags={['todos']}>
+          {() => <div />}
+        </Fetch>
+        <Mutation
+          url={listUrl}
+          cache={cache}
+          update={{ [listUrl]: (todos, todo) => [...todos, todo] }}
+        >
+          {mockChildren}
+        </Mutation>
+      </div>
+    );
+    await sleep(20);
+
+    await mutate(mockChildren, { title: 'Write tests' });
+    await sleep(10);
+
+    expect(await cache.get(listUrl)).toMatchObject({ data: [todo] });
+    expect(cache.getTtl(listUrl)).toBeLessThanOrEqual(980);
+    expect(cache.invalidate({ tags: ['todos'] })).toEqual([listUrl]);
+  });
+});
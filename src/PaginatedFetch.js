@@ -0,0 +1,7 @@
+import useInfiniteFetch from './useInfiniteFetch';
+import { renderChildren } from './utils';
+
+// Component version of `useInfiniteFetch`, passing the pages (and `fetchNextPage`) to the child function
+export default function PaginatedFetch({ url, children, ...props }) {
+  return renderChildren(children, useInfiniteFetch(url, props));
+}
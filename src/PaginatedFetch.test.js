@@ -0,0 +1,244 @@
+import React from 'react';
+import { configure, mount } from 'enzyme';
+import Adapter from 'enzyme-adapter-react-16';
+import { act } from 'react-dom/test-utils';
+import fetchMock from 'fetch-mock';
+
+fetchMock.config.overwriteRoutes = false;
+
+import { PaginatedFetch } from './';
+import { sleep, lastCall } from '../config/testUtils';
+
+configure({ adapter: new Adapter() });
+
+afterEach(fetchMock.restore);
+
+const fetchNextPage = async mockChildren => {
+  await act(async () => {
+    await lastCall(mockChildren).fetchNextPage();
+  });
+};
+
+describe('PaginatedFetch', () => {
+  it('requests the next page using a cursor', async () => {
+    fetchMock.once('http://localhost/items?cursor=', {
+      items: [1, 2],
+      nextCursor: 'a'
+    });
+    fetchMock.once('http://localhost/items?cursor=a', {
+      items: [3],
+      nextCursor: null
+    });
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <PaginatedFetch
+        url={cursor => `http://localhost/items?cursor=${cursor || ''}`}
+        getNextPageParam={lastPage => lastPage.nextCursor}
+      >
+        {mockChildren}
+      </PaginatedFetch>
+    );
+    await sleep(10);
+
+    expect(lastCall(mockChildren)).toMatchObject({
+      loading: false,
+      pages: [{ items: [1, 2], nextCursor: 'a' }],
+      hasNextPage: true,
+      isFetchingNextPage: false
+    });
+
+    const promise = act(() => lastCall(mockChildren).fetchNextPage());
+    expect(lastCall(mockChildren).isFetchingNextPage).toBe(true);
+    await promise;
+
+    expect(lastCall(mockChildren)).toMatchObject({
+      pages: [{ items: [1, 2] }, { items: [3] }],
+      hasNextPage: false,
+      isFetchingNextPage: false
+    });
+
+    // No more pages
+    await fetchNextPage(mockChildren);
+    expect(fetchMock.calls().length).toBe(2);
+  });
+
+  it('requests the next page using an offset', async () => {
+    fetchMock.once('http://localhost/items?offset=0', [1, 2]);
+    fetchMock.once('http://localhost/items?offset=2', [3]);
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <PaginatedFetch
+        url={offset => `http://localhost/items?offset=${offset}`}
+        initialPageParam={0}
+        getNextPageParam={(lastPage, pages) =>
+          lastPage.length < 2
+            ? undefined
+            : pages.reduce((count, page) => count + page.length, 0)
+        }
+      >
+        {mockChildren}
+      </PaginatedFetch>
+    );
+    await sleep(10);
+    await fetchNextPage(mockChildren);
+
+    expect(lastCall(mockChildren)).toMatchObject({
+      pages: [[1, 2], [3]],
+      hasNextPage: false
+    });
+  });
+
+  it('requests the next page of the "Link" header by default', async () => {
+    const url = 'http://localhost/items';
+    const nextUrl = 'http://localhost/items?page=2';
+    fetchMock.once(url, {
+      body: [1, 2],
+      headers: { Link: `<${nextUrl}>; rel="next", <${nextUrl}>; rel="last"` }
+    });
+    fetchMock.once(nextUrl, {
+      body: [3],
+      headers: { Link: `<${url}>; rel="first", <${url}>; rel="prev"` }
+    });
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(<PaginatedFetch url={url}>{mockChildren}</PaginatedFetch>);
+    await sleep(10);
+    expect(lastCall(mockChildren).hasNextPage).toBe(true);
+
+    await fetchNextPage(mockChildren);
+
+    expect(fetchMock.called(nextUrl)).toBe(true);
+    expect(lastCall(mockChildren)).toMatchObject({
+      pages: [[1, 2], [3]],
+      hasNextPage: false
+    });
+  });
+
+  it('requests the next page once if called again before it is added', async () => {
+    fetchMock.mock('http://localhost/items?page=1', [1]);
+    fetchMock.mock('http://localhost/items?page=2', [2]);
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <PaginatedFetch
+        url={page => `http://localhost/items?page=${page}`}
+        initialPageParam={1}
+        getNextPageParam={(lastPage, pages) => pages.length + 1}
+      >
+        {mockChildren}
+      </PaginatedFetch>
+    );
+    await sleep(10);
+
+    const { fetchNextPage } = lastCall(mockChildren);
+    await act(() => Promise.all([fetchNextPage(), fetchNextPage()]));
+
+    expect(fetchMock.calls().length).toBe(2);
+    expect(lastCall(mockChildren).pages).toEqual([[1], [2]]);
+  });
+
+  it('keeps the pages if the next page fails', async () => {
+    fetchMock.once('http://localhost/items?page=1', [1]);
+    fetchMock.once('http://localhost/items?page=2', {
+      status: 500,
+      body: { message: 'Oops' }
+    });
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <PaginatedFetch
+        url={page => `http://localhost/items?page=${page}`}
+        initialPageParam={1}
+        getNextPageParam={(lastPage, pages) => pages.length + 1}
+      >
+        {mockChildren}
+      </PaginatedFetch>
+    );
+    await sleep(10);
+    await fetchNextPage(mockChildren);
+
+    expect(lastCall(mockChildren)).toMatchObject({
+      pages: [[1]],
+      error: { message: 'Oops' },
+      hasNextPage: true
+    });
+  });
+
+  it('keeps the pages while the first page is requested again', async () => {
+    fetchMock.mock('http://localhost/items?page=1', [1]);
+    fetchMock.once('http://localhost/items?page=2', [2]);
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <PaginatedFetch
+        url={page => `http://localhost/items?page=${page}`}
+        initialPageParam={1}
+        getNextPageParam={(lastPage, pages) =>
+          pages.length < 3 ? pages.length + 1 : undefined
+        }
+      >
+        {mockChildren}
+      </PaginatedFetch>
+    );
+    await sleep(10);
+    await fetchNextPage(mockChildren);
+
+    const promise = act(() => lastCall(mockChildren).fetch());
+    expect(lastCall(mockChildren)).toMatchObject({
+      loading: true,
+      pages: [[1], [2]],
+      hasNextPage: true
+    });
+    await promise;
+
+    expect(lastCall(mockChildren)).toMatchObject({
+      loading: false,
+      pages: [[1], [2]],
+      hasNextPage: true
+    });
+    expect(fetchMock.calls('http://localhost/items?page=1').length).toBe(2);
+  });
+
+  it('resets the pages when the url of the first page changes', async () => {
+    fetchMock.once('http://localhost/items?q=a&page=1', ['a1']);
+    fetchMock.once('http://localhost/items?q=a&page=2', ['a2']);
+    fetchMock.once('http://localhost/items?q=b&page=1', ['b1']);
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const Search = ({ query }) => (
+      <PaginatedFetch
+        url={(page = 1) => `http://localhost/items?q=${query}&page=${page}`}
+        getNextPageParam={(lastPage, pages) => pages.length + 1}
+      >
+        {mockChildren}
+      </PaginatedFetch>
+    );
+
+    const wrapper = mount(<Search query="a" />);
+    await sleep(10);
+    await fetchNextPage(mockChildren);
+    expect(lastCall(mockChildren).pages).toEqual([['a1'], ['a2']]);
+
+    wrapper.setProps({ query: 'b' });
+    expect(lastCall(mockChildren).pages).toEqual([]);
+
+    await sleep(10);
+    expect(lastCall(mockChildren).pages).toEqual([['b1']]);
+  });
+});
@@ -0,0 +1,283 @@
+import SimpleCache from './SimpleCache';
+import { createSnapshot, restoreState } from './snapshot';
+
+const INDEX_KEY = '__index__';
+
+function getDefaultStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch (e) {
+    // Accessing `localStorage` throws when disabled (ex. Safari private mode, sandboxed iframes)
+    return null;
+  }
+}
+
+function isPromise(value) {
+  return value != null && typeof value.then === 'function';
+}
+
+function isQuotaExceeded(error) {
+  return (
+    error != null &&
+    (error.name === 'QuotaExceededError' ||
+      error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      error.code === 22 ||
+      error.code === 1014)
+  );
+}
+
+export default class PersistentCache extends SimpleCache {
+  // Keys persisted to storage, oldest first
+  index = [];
+
+  constructor({
+    storage = getDefaultStorage(),
+    prefix = 'react-fetch-component:',
+    version = 1,
+    ...options
+  } = {}) {
+    super(options);
+    this.storage = storage;
+    this.prefix = prefix;
+    this.version = version;
+
+    const index = this.readItem(INDEX_KEY);
+    if (!isPromise(index)) {
+      this.index = this.parseIndex(index);
+    }
+  }
+
+  get(key) {
+    this.load(key);
+    return super.get(key);
+  }
+
+  getState(key) {
+    this.load(key);
+    return super.getState(key);
+  }
+
+  // Read a persisted entry into memory if not already
+  load(key) {
+    if (!Object.prototype.hasOwnProperty.call(this.cache, key)) {
+      const item = this.readItem(key);
+      if (!isPromise(item)) {
+        // Async storage is only available after calling `hydrate()`
+        this.restoreItem(key, item);
+      }
+    }
+  }
+
+  set(key, promise, options) {
+    super.set(key, promise, options);
+
+    promise.then(
+      state => {
+        // Only persist if still cached (i.e. not a removed failure)
+        if (this.cache[key] === promise) {
+          this.persist(key, state);
+        }
+      },
+      () => {}
+    );
+  }
+
+  remove(key) {
+    super.remove(key);
+
+    if (this.index.indexOf(key) !== -1) {
+      this.removeItem(key);
+    }
+  }
+
+  invalidate(filters) {
+    // Entries only persisted (not yet read into memory) need to be matched too
+    this.index.slice().forEach(key => this.load(key));
+    return super.invalidate(filters);
+  }
+
+  clear() {
+    super.clear();
+
+    this.index.slice().forEach(key => this.removeItem(key));
+  }
+
+  // Load all persisted entries into memory.  Required before rendering when using async storage (ex. IndexedDB)
+  hydrate() {
+    return Promise.resolve(this.readItem(INDEX_KEY)).then(index => {
+      this.index = this.parseIndex(index);
+
+      return Promise.all(
+        this.index.map(key =>
+          Promise.resolve(this.readItem(key)).then(item =>
+            this.restoreItem(key, item)
+          )
+        )
+      );
+    });
+  }
+
+  restoreItem(key, item) {
+    if (item == null || Object.prototype.hasOwnProperty.call(this.cache, key)) {
+      // Not persisted, or already in memory (which is at least as fresh)
+      return;
+    }
+
+    let entry = null;
+    try {
+      entry = JSON.parse(item);
+    } catch (e) {
+      // Corrupt entry, removed below
+    }
+
+    if (
+      !entry ||
+      entry.version !== this.version ||
+      (entry.expires != null && entry.expires <= Date.now())
+    ) {
+      this.removeItem(key);
+      return;
+    }
+
+    const state = restoreState(entry.snapshot);
+
+    // Add directly to memory as `set` would persist it again
+    this.cache[key] = Promise.resolve(state);
+    this.states[key] = state;
+    this.keys.push(key);
+    if (entry.tags) {
+      this.tags[key] = entry.tags;
+    }
+    if (entry.snapshot.url !== undefined && entry.snapshot.url !== key) {
+      this.urls[key] = entry.snapshot.url;
+    }
+    if (entry.expires != null) {
+      this.expires[key] = entry.expires;
+    }
+    if (this.maxBytes) {
+      this.sizes[key] = this.sizeOf(state);
+      this.bytes += this.sizes[key];
+    }
+    this.prune();
+  }
+
+  persist(key, state) {
+    const snapshot = this.storage && state && createSnapshot(state);
+    if (!snapshot) {
+      return;
+    }
+
+    const item = JSON.stringify({
+      version: this.version,
+      expires: this.expires[key],
+      tags: this.tags[key],
+      snapshot
+    });
+
+    this.index = this.index.filter(k => k !== key).concat(key);
+    return this.writeItem(key, item).then(() => this.writeIndex());
+  }
+
+  writeItem(key, item) {
+    return Promise.resolve()
+      .then(() => this.storage.setItem(this.prefix + key, item))
+      .catch(error => {
+        const oldest = this.index.filter(k => k !== key)[0];
+
+        if (isQuotaExceeded(error) && oldest !== undefined) {
+          // Make room by dropping the oldest persisted entry (memory is unaffected) and try again
+          this.removeItem(oldest);
+          return this.writeItem(key, item);
+        }
+
+        // Unable to persist, but still cached in memory
+        this.index = this.index.filter(k => k !== key);
+      });
+  }
+
+  writeIndex() {
+    return Promise.resolve()
+      .then(() =>
+        this.storage.setItem(
+          this.prefix + INDEX_KEY,
+          JSON.stringify(this.index)
+        )
+      )
+      .catch(() => {});
+  }
+
+  readItem(key) {
+    if (!this.storage) {
+      return null;
+    }
+
+    try {
+      return this.storage.getItem(this.prefix + key);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  removeItem(key) {
+    this.index = this.index.filter(k => k !== key);
+
+    if (this.storage) {
+      Promise.resolve()
+        .then(() => this.storage.removeItem(this.prefix + key))
+        .then(() => this.writeIndex())
+        .catch(() => {});
+    }
+  }
+
+  parseIndex(index) {
+    try {
+      const keys = JSON.parse(index);
+      return Array.isArray(keys) ? keys : [];
+    } catch (e) {
+      return [];
+    }
+  }
+}
+
+// Storage adapter (`getItem`, `setItem`, `removeItem` returning promises) backed by IndexedDB
+export function createIndexedDBStorage({
+  name = 'react-fetch-component',
+  storeName = 'cache'
+} = {}) {
+  let dbPromise = null;
+
+  const getStore = mode => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, 1);
+        request.onupgradeneeded = () =>
+          request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return dbPromise.then(db =>
+      db.transaction(storeName, mode).objectStore(storeName)
+    );
+  };
+
+  const run = (mode, callback) =>
+    getStore(mode).then(
+      store =>
+        new Promise((resolve, reject) => {
+          const request = callback(store);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        })
+    );
+
+  return {
+    getItem: key =>
+      run('readonly', store => store.get(key)).then(
+        value => (value === undefined ? null : value)
+      ),
+    setItem: (key, value) => run('readwrite', store => store.put(value, key)),
+    removeItem: key => run('readwrite', store => store.delete(key))
+  };
+}
@@ -0,0 +1,334 @@
+import React from 'react';
+import { configure, mount } from 'enzyme';
+import Adapter from 'enzyme-adapter-react-16';
+import fetchMock from 'fetch-mock';
+
+import Fetch, { PersistentCache } from './';
+
+configure({ adapter: new Adapter() });
+
+const { Response } = fetchMock.config;
+
+afterEach(fetchMock.restore);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createStorage(items = {}) {
+  return {
+    items,
+    getItem: jest.fn(key => (key in items ? items[key] : null)),
+    setItem: jest.fn((key, value) => {
+      items[key] = String(value);
+    }),
+    removeItem: jest.fn(key => {
+      delete items[key];
+    })
+  };
+}
+
+function createAsyncStorage(items = {}) {
+  const storage = createStorage(items);
+  return {
+    items,
+    getItem: key => Promise.resolve(storage.getItem(key)),
+    setItem: (key, value) => Promise.resolve(storage.setItem(key, value)),
+    removeItem: key => Promise.resolve(storage.removeItem(key))
+  };
+}
+
+function createState(data, status = 200) {
+  return {
+    request: { url: 'http://localhost' },
+    loading: false,
+    data,
+    response: new Response(JSON.stringify(data), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  };
+}
+
+describe('PersistentCache', () => {
+  it('persists resolved entries to storage', async () => {
+    const storage = createStorage();
+    const cache = new PersistentCache({ storage });
+
+    const promise = Promise.resolve(createState({ hello: 'world' }));
+    cache.set('foo', promise);
+    await promise;
+    await sleep(0);
+
+    const entry = JSON.parse(storage.items['react-fetch-component:foo']);
+    expect(entry).toMatchObject({
+      version: 1,
+      snapshot: {
+        url: 'http://localhost',
+        data: { hello: 'world' },
+        status: 200,
+        headers: [['content-type', 'application/json']]
+      }
+    });
+    expect(
+      JSON.parse(storage.items['react-fetch-component:__index__'])
+    ).toEqual(['foo']);
+  });
+
+  it('restores persisted entries as resolved promises', async () => {
+    const storage = createStorage();
+    const cache1 = new PersistentCache({ storage });
+    const promise = Promise.resolve(createState({ hello: 'world' }));
+    cache1.set('foo', promise);
+    await promise;
+    await sleep(0);
+
+    // New page load
+    const cache2 = new PersistentCache({ storage });
+    const state = await cache2.get('foo');
+
+    expect(state).toMatchObject({
+      request: { url: 'http://localhost' },
+      loading: false,
+      data: { hello: 'world' }
+    });
+    expect(state.response.ok).toBe(true);
+    expect(state.response.status).toBe(200);
+    expect(state.response.headers.get('Content-Type')).toBe('application/json');
+  });
+
+  it('does not persist entries which can not be serialized', async () => {
+    const storage = createStorage();
+    const cache = new PersistentCache({ storage });
+
+    const promise = Promise.resolve({
+      loading: false,
+      data: new ArrayBuffer(8)
+    });
+    cache.set('foo', promise);
+    await promise;
+    await sleep(0);
+
+    expect(storage.items['react-fetch-component:foo']).toBeUndefined();
+    expect(cache.get('foo')).toBe(promise);
+  });
+
+  it('does not persist failed responses', async () => {
+    const storage = createStorage();
+    const cache = new PersistentCache({ storage });
+
+    const promise = Promise.resolve(createState({ Error: 'BOOM!' }, 500));
+    cache.set('foo', promise);
+    await promise;
+    await sleep(0);
+
+    expect(storage.items['react-fetch-component:foo']).toBeUndefined();
+  });
+
+  it('discards entries from a different version', async () => {
+    const storage = createStorage();
+    const cache1 = new PersistentCache({ storage, version: 1 });
+    const promise = Promise.resolve(createState({ hello: 'world' }));
+    cache1.set('foo', promise);
+    await promise;
+    await sleep(0);
+
+    const cache2 = new PersistentCache({ storage, version: 2 });
+    expect(cache2.get('foo')).toBeUndefined();
+
+    await sleep(0);
+    expect(storage.items['react-fetch-component:foo']).toBeUndefined();
+  });
+
+  it('discards expired entries', async () => {
+    const storage = createStorage();
+    const cache1 = new PersistentCache({ storage, ttl: 10 });
+    const promise = Promise.resolve(createState({ hello: 'world' }));
+    cache1.set('foo', promise);
+    await promise;
+    await sleep(20);
+
+    const cache2 = new PersistentCache({ storage });
+    expect(cache2.get('foo')).toBeUndefined();
+  });
+
+  it('removes entries from storage', async () => {
+    const storage = createStorage();
+    const cache = new PersistentCache({ storage });
+    const promise = Promise.resolve(createState({ hello: 'world' }));
+    cache.set('foo', promise);
+    cache.set('bar', promise);
+    await promise;
+    await sleep(0);
+
+    cache.remove('foo');
+    await sleep(0);
+    expect(storage.items['react-fetch-component:foo']).toBeUndefined();
+    expect(storage.items['react-fetch-component:bar']).toBeDefined();
+
+    cache.clear();
+    await sleep(0);
+    expect(storage.items['react-fetch-component:bar']).toBeUndefined();
+    expect(
+      JSON.parse(storage.items['react-fetch-component:__index__'])
+    ).toEqual([]);
+  });
+
+  it('evicts the oldest persisted entries when the quota is exceeded', async () => {
+    const storage = createStorage();
+    const setItem = storage.setItem.getMockImplementation();
+    storage.setItem.mockImplementation((key, value) => {
+      const entries = Object.keys(storage.items).filter(
+        k => k !== 'react-fetch-component:__index__' && k !== key
+      );
+      if (key !== 'react-fetch-component:__index__' && entries.length >= 2) {
+        const error = new Error('Quota exceeded');
+        error.name = 'QuotaExceededError';
+        throw error;
+      }
+      setItem(key, value);
+    });
+
+    const cache = new PersistentCache({ storage });
+
+    for (const key of ['foo', 'bar', 'baz']) {
+      const promise = Promise.resolve(createState({ key }));
+      cache.set(key, promise);
+      await promise;
+      await sleep(0);
+    }
+
+    expect(storage.items['react-fetch-component:foo']).toBeUndefined();
+    expect(storage.items['react-fetch-component:bar']).toBeDefined();
+    expect(storage.items['react-fetch-component:baz']).toBeDefined();
+    expect(cache.index).toEqual(['bar', 'baz']);
+
+    // Still cached in memory
+    expect(cache.get('foo')).toBeDefined();
+  });
+
+  it('keeps caching in memory if storage is unavailable', async () => {
+    const storage = {
+      getItem: () => {
+        throw new Error('SecurityError');
+      },
+      setItem: () => {
+        throw new Error('SecurityError');
+      },
+      removeItem: () => {
+        throw new Error('SecurityError');
+      }
+    };
+    const cache = new PersistentCache({ storage });
+
+    const promise = Promise.resolve(createState({ hello: 'world' }));
+    cache.set('foo', promise);
+    await promise;
+    await sleep(0);
+
+    expect(cache.get('foo')).toBe(promise);
+    expect(cache.index).toEqual([]);
+  });
+
+  it('supports async storage with "hydrate"', async () => {
+    const storage = createAsyncStorage();
+    const cache1 = new PersistentCache({ storage });
+    const promise = Promise.resolve(createState({ hello: 'world' }));
+    cache1.set('foo', promise);
+    await promise;
+    await sleep(0);
+
+    const cache2 = new PersistentCache({ storage });
+    expect(cache2.get('foo')).toBeUndefined();
+
+    await cache2.hydrate();
+    expect(await cache2.get('foo')).toMatchObject({
+      data: { hello: 'world' }
+    });
+  });
+
+  it('does not replace entries already in memory when hydrating', async () => {
+    const storage = createStorage();
+    const cache1 = new PersistentCache({ storage });
+    const promise1 = Promise.resolve(createState({ version: 1 }));
+    cache1.set('/a', promise1);
+    await promise1;
+    await sleep(0);
+
+    const cache2 = new PersistentCache({ storage, maxEntries: 2 });
+    // Read into memory by `get`
+    expect(await cache2.get('/a')).toMatchObject({ data: { version: 1 } });
+    const promise2 = Promise.resolve(createState({ version: 2 }));
+    cache2.set('/b', promise2);
+
+    await cache2.hydrate();
+    expect(cache2.keys).toEqual(['/a', '/b']);
+
+    // Fresher entry in memory
+    const promise3 = Promise.resolve(createState({ version: 3 }));
+    cache2.set('/a', promise3);
+    await cache2.hydrate();
+    expect(cache2.get('/a')).toBe(promise3);
+    expect(cache2.keys).toEqual(['/b', '/a']);
+  });
+
+  it('renders persisted data without a request', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    fetchMock.once(url, data);
+
+    const storage = createStorage();
+
+    const wrapper1 = mount(
+      <Fetch url={url} cache={new PersistentCache({ storage })} />
+    );
+    await Promise.all(wrapper1.instance().fetcher.promises);
+    await sleep(0);
+
+    // New page load
+    const mockChildren = jest.fn().mockReturnValue(<div />);
+    const wrapper2 = mount(
+      <Fetch url={url} cache={new PersistentCache({ storage })}>
+        {mockChildren}
+      </Fetch>
+    );
+    await Promise.all(wrapper2.instance().fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(1);
+    expect(mockChildren.mock.calls.length).toBe(2);
+    expect(mockChildren.mock.calls[1][0]).toMatchObject({
+      loading: false,
+      data,
+      request: { url },
+      response: { status: 200 }
+    });
+  });
+
+  it('invalidates persisted entries by tags', async () => {
+    const storage = createStorage();
+    const cache1 = new PersistentCache({ storage });
+
+    const promise = Promise.resolve(createState({ hello: 'world' }));
+    cache1.set('foo', promise, { tags: ['greetings'] });
+    cache1.set('bar', Promise.resolve(createState({})));
+    await promise;
+    await sleep(0);
+
+    // New page load, before the entries are read
+    const cache2 = new PersistentCache({ storage });
+    expect(cache2.invalidate({ tags: ['greetings'] })).toEqual(['foo']);
+    await sleep(0);
+
+    expect(storage.items['react-fetch-component:foo']).toBeUndefined();
+    expect(storage.items['react-fetch-component:bar']).toBeDefined();
+  });
+
+  it('reads and persists data written with "setData"', async () => {
+    const storage = createStorage();
+    const cache1 = new PersistentCache({ storage });
+    cache1.setData('foo', { hello: 'world' });
+    await sleep(0);
+
+    // New page load
+    const cache2 = new PersistentCache({ storage });
+    expect(cache2.getData('foo')).toEqual({ hello: 'world' });
+  });
+});
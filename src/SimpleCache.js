@@ -1,22 +1,448 @@
+import { createSnapshot, restoreState } from './snapshot';
+
+function getCacheControl(response) {
+  return (
+    (response && response.headers && response.headers.get('Cache-Control')) ||
+    ''
+  );
+}
+
+// Whether the response's `Cache-Control` forbids storing it
+function isNoStore(response) {
+  return /(?:^|,)\s*no-store\s*(?:,|$)/i.test(getCacheControl(response));
+}
+
+// Lifetime (milliseconds) of a response based on its `Cache-Control: max-age` (or `no-cache`, which requires sending
+// the request again) or `Expires` headers
+function getResponseTtl(response) {
+  if (!response || !response.headers) {
+    return undefined;
+  }
+
+  const cacheControl = getCacheControl(response);
+  if (/(?:^|,)\s*no-cache\s*(?:[,=]|$)/i.test(cacheControl)) {
+    return 0;
+  }
+
+  const maxAge = /(?:^|,)\s*max-age\s*=\s*(\d+)/i.exec(cacheControl);
+  if (maxAge) {
+    return parseInt(maxAge[1], 10) * 1000;
+  }
+
+  const expires = response.headers.get('Expires');
+  if (expires) {
+    // An invalid date (ex. `0`) means already expired
+    const time = Date.parse(expires);
+    return isNaN(time) ? 0 : time - Date.now();
+  }
+
+  return undefined;
+}
+
+// Approximate size (bytes) of the resolved state's data
+function defaultSizeOf({ data } = {}) {
+  if (data == null) {
+    return 0;
+  } else if (typeof data.byteLength === 'number') {
+    // ArrayBuffer
+    return data.byteLength;
+  } else if (typeof data.size === 'number') {
+    // Blob
+    return data.size;
+  }
+
+  try {
+    const json = JSON.stringify(data);
+    return json ? json.length : 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+// State (the shape `Fetch` produces) for data written directly, keeping the request and response of the previous
+// state.  A failed response is dropped so the entry is not treated as an error
+function createDataState(data, previous = {}) {
+  return {
+    ...previous,
+    ...(previous.response && !previous.response.ok && { response: undefined }),
+    loading: false,
+    data,
+    error: undefined,
+    isStale: false,
+    revalidating: false
+  };
+}
+
+const hasOwnProperty = Object.prototype.hasOwnProperty;
+
 export default class SimpleCache {
   cache = {};
+  expires = {};
+  sizes = {};
+  // Resolved state of entries (see `getData`)
+  states = {};
+  tags = {};
+  // Request url of entries whose key is not the url
+  urls = {};
+  bytes = 0;
+  // Ordered by least recently used first
+  keys = [];
+  stats = { hits: 0, misses: 0, evictions: 0 };
+  invalidateListeners = [];
+  // Listeners for changes to each key (see `subscribe`)
+  subscribers = {};
+
+  constructor({
+    ttl,
+    respectCacheHeaders = true,
+    maxEntries,
+    maxBytes,
+    sizeOf = defaultSizeOf,
+    cacheErrors = false
+  } = {}) {
+    this.ttl = ttl;
+    this.cacheErrors = cacheErrors;
+    this.respectCacheHeaders = respectCacheHeaders;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.sizeOf = sizeOf;
+  }
+
   get(url) {
+    if (!hasOwnProperty.call(this.cache, url)) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    if (
+      hasOwnProperty.call(this.expires, url) &&
+      this.expires[url] <= Date.now()
+    ) {
+      this.remove(url);
+      this.stats.misses++;
+      return undefined;
+    }
+
+    this.stats.hits++;
+    this.touch(url);
     return this.cache[url];
   }
 
-  set(url, promise) {
-    // TODO: only retain successful responses?
-    //  `promise.then(({ error }) => { if (error) { this.remove(url) } })` (untested)
+  set(url, promise, options = {}) {
+    this.removeEntry(url);
     this.cache[url] = promise;
+    this.keys.push(url);
+    if (options.tags) {
+      this.tags[url] = options.tags;
+    }
+    if (options.url !== undefined && options.url !== url) {
+      this.urls[url] = options.url;
+    }
+
+    const ttl = 'ttl' in options ? options.ttl : this.ttl;
+    this.setTtl(url, ttl);
+
+    // Response headers take precedence over the default `ttl`, but not one passed explicitly
+    const useResponseTtl = this.respectCacheHeaders && !('ttl' in options);
+    const cacheErrors =
+      'cacheErrors' in options ? options.cacheErrors : this.cacheErrors;
+
+    const handleError = () => {
+      if (this.cache[url] !== promise) {
+        return;
+      }
+
+      if (cacheErrors === false) {
+        // Do not replay failures to later requests
+        this.remove(url);
+      } else if (typeof cacheErrors === 'number') {
+        this.setTtl(url, cacheErrors);
+      }
+    };
+
+    promise.then((state = {}) => {
+      if (this.cache[url] !== promise) {
+        // Removed or replaced while pending
+        return;
+      }
+
+      if (state.error !== undefined || (state.response && !state.response.ok)) {
+        handleError();
+        if (this.cache[url] !== promise) {
+          return;
+        }
+      } else if (this.respectCacheHeaders && isNoStore(state.response)) {
+        // Not to be stored, although requests already waiting for it still receive it
+        this.remove(url);
+        return;
+      } else {
+        const responseTtl = useResponseTtl
+          ? getResponseTtl(state.response)
+          : undefined;
+        if (responseTtl !== undefined) {
+          this.setTtl(url, responseTtl);
+        }
+      }
+
+      this.states[url] = state;
+
+      if (this.maxBytes) {
+        // Size is only known once resolved
+        this.sizes[url] = this.sizeOf(state);
+        this.bytes += this.sizes[url];
+        this.prune();
+      }
+    }, handleError);
+
+    this.prune();
+    if (this.cache[url] === promise) {
+      this.notify(url, promise);
+    }
+  }
+
+  // Resolved state of the entry for `key` (without counting as a hit), or `undefined` if not cached (or still
+  // pending).  Used to render cached responses before mounting
+  getState(key) {
+    if (
+      !hasOwnProperty.call(this.states, key) ||
+      (hasOwnProperty.call(this.expires, key) &&
+        this.expires[key] <= Date.now())
+    ) {
+      return undefined;
+    }
+
+    return this.states[key];
+  }
+
+  // Data of the entry for `key`, or `undefined` if not cached (or still pending)
+  getData(key) {
+    return this.get(key) && hasOwnProperty.call(this.states, key)
+      ? this.states[key].data
+      : undefined;
+  }
+
+  // Store `data` for `key` as if it was the response to the request (ex. after a websocket event), keeping the
+  // tags of the entry unless `options.tags` are given.  Mounted `<Fetch />` components using the key render it
+  setData(key, data, options = {}) {
+    this.setResolved(
+      key,
+      createDataState(data, this.states[key]),
+      this.getEntryOptions(key, options)
+    );
+  }
+
+  // Store the result of `updater(data)` for `key`, where `data` is the cached data (or `undefined` if not
+  // cached).  If the entry is still pending, the update is applied once it resolves
+  updateData(key, updater, options = {}) {
+    const cached = this.get(key);
+
+    if (cached && !hasOwnProperty.call(this.states, key)) {
+      this.set(
+        key,
+        cached.then(state => createDataState(updater(state.data), state)),
+        this.getEntryOptions(key, options)
+      );
+    } else {
+      this.setData(
+        key,
+        updater(cached ? this.states[key].data : undefined),
+        options
+      );
+    }
+  }
+
+  // Store a state which is already resolved, so it can be read with `getState` without waiting for the promise
+  setResolved(key, state, options) {
+    this.set(key, Promise.resolve(state), options);
+    if (this.cache[key] !== undefined) {
+      this.states[key] = state;
+    }
+  }
+
+  // Resolved entries as plain objects which can be serialized (ex. into server rendered markup) and passed to
+  // `restore`.  Failed entries, and those with data which can not be serialized, are skipped
+  extract() {
+    return this.keys.reduce((entries, key) => {
+      const state = this.getState(key);
+      const snapshot =
+        state &&
+        state.error === undefined &&
+        (!state.response || state.response.ok) &&
+        createSnapshot(state);
+
+      if (snapshot) {
+        entries[key] = {
+          snapshot,
+          ...(this.tags[key] && { tags: this.tags[key] }),
+          ...(hasOwnProperty.call(this.expires, key) && {
+            ttl: this.getTtl(key)
+          })
+        };
+      }
+      return entries;
+    }, {});
+  }
+
+  // Add the entries returned by `extract` (ex. of the cache used to render on the server), so they are rendered
+  // without sending the requests again
+  restore(entries = {}) {
+    Object.keys(entries).forEach(key => {
+      const { snapshot, tags, ttl } = entries[key];
+
+      this.setResolved(key, restoreState(snapshot), {
+        ...(tags && { tags }),
+        ...(snapshot.url !== undefined && { url: snapshot.url }),
+        ...(ttl !== undefined && { ttl })
+      });
+    });
+  }
+
+  // Options of the existing entry to keep when replacing it
+  getEntryOptions(key, options) {
+    return {
+      ...(this.tags[key] && { tags: this.tags[key] }),
+      ...(hasOwnProperty.call(this.urls, key) && { url: this.urls[key] }),
+      ...options
+    };
+  }
+
+  // Milliseconds until the entry expires, or `null` if it does not
+  getTtl(key) {
+    return hasOwnProperty.call(this.expires, key)
+      ? this.expires[key] - Date.now()
+      : null;
+  }
+
+  setTtl(url, ttl) {
+    if (ttl == null) {
+      delete this.expires[url];
+    } else {
+      this.expires[url] = Date.now() + ttl;
+    }
+  }
+
+  touch(url) {
+    const index = this.keys.indexOf(url);
+    if (index !== -1) {
+      this.keys.splice(index, 1);
+      this.keys.push(url);
+    }
+  }
+
+  prune() {
+    while (
+      this.keys.length &&
+      ((this.maxEntries && this.keys.length > this.maxEntries) ||
+        (this.maxBytes && this.bytes > this.maxBytes))
+    ) {
+      // Evict least recently used
+      this.remove(this.keys[0]);
+      this.stats.evictions++;
+    }
+  }
+
+  // Remove entries matching all of the given filters (or every entry if none are given) and notify the
+  // `onInvalidate` listeners.  Returns the removed keys
+  invalidate({ tags, urlPrefix, predicate } = {}) {
+    const keys = this.keys.filter(key => {
+      const entry = {
+        url: hasOwnProperty.call(this.urls, key) ? this.urls[key] : key,
+        tags: this.tags[key] || []
+      };
+
+      return (
+        (!tags || tags.some(tag => entry.tags.indexOf(tag) !== -1)) &&
+        (urlPrefix == null || String(entry.url).indexOf(urlPrefix) === 0) &&
+        (!predicate || !!predicate(key, entry))
+      );
+    });
+
+    keys.forEach(key => this.remove(key));
+    if (keys.length) {
+      this.invalidateListeners.forEach(listener => listener(keys));
+    }
+
+    return keys;
+  }
+
+  // Call `listener` with the keys removed by `invalidate` (ex. so mounted components can request them again).
+  // Returns a function to remove the listener
+  onInvalidate(listener) {
+    this.invalidateListeners.push(listener);
+    return () => {
+      this.invalidateListeners = this.invalidateListeners.filter(
+        l => l !== listener
+      );
+    };
+  }
+
+  getStats() {
+    return { ...this.stats, entries: this.keys.length, bytes: this.bytes };
+  }
+
+  // Call `listener` with the new promise when the entry for `key` is set, or `undefined` when removed (including
+  // when expired, evicted, or invalidated).  Returns a function to remove the listener
+  subscribe(key, listener) {
+    if (!hasOwnProperty.call(this.subscribers, key)) {
+      this.subscribers[key] = [];
+    }
+    this.subscribers[key].push(listener);
+
+    return () => {
+      if (!hasOwnProperty.call(this.subscribers, key)) {
+        return;
+      }
+      this.subscribers[key] = this.subscribers[key].filter(l => l !== listener);
+      if (!this.subscribers[key].length) {
+        delete this.subscribers[key];
+      }
+    };
+  }
+
+  notify(key, promise) {
+    if (hasOwnProperty.call(this.subscribers, key)) {
+      this.subscribers[key].slice().forEach(listener => listener(promise));
+    }
   }
 
   remove(url) {
+    if (hasOwnProperty.call(this.cache, url)) {
+      this.removeEntry(url);
+      this.notify(url, undefined);
+    }
+  }
+
+  removeEntry(url) {
+    if (hasOwnProperty.call(this.sizes, url)) {
+      this.bytes -= this.sizes[url];
+    }
+
+    const index = this.keys.indexOf(url);
+    if (index !== -1) {
+      this.keys.splice(index, 1);
+    }
+
     delete this.cache[url];
+    delete this.expires[url];
+    delete this.sizes[url];
+    delete this.states[url];
+    delete this.tags[url];
+    delete this.urls[url];
   }
 
   clear() {
     // TODO: Wait for all outstanding promises to resolve?
     //   `Promise.all(Object.values(cache)).then(() => this.cache = {})` (untested)
+    const keys = this.keys;
     this.cache = {};
+    this.expires = {};
+    this.sizes = {};
+    this.states = {};
+    this.tags = {};
+    this.urls = {};
+    this.bytes = 0;
+    this.keys = [];
+
+    keys.forEach(key => this.notify(key, undefined));
   }
 }
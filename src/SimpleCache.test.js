@@ -0,0 +1,627 @@
+import { SimpleCache } from './';
+
+function createState(headers = {}) {
+  return {
+    loading: false,
+    data: { hello: 'world' },
+    response: {
+      ok: true,
+      status: 200,
+      headers: { get: name => (name in headers ? headers[name] : null) }
+    }
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('ttl', () => {
+  it('stores entries forever by default', async () => {
+    const cache = new SimpleCache();
+    const promise = Promise.resolve(createState());
+    cache.set('foo', promise);
+
+    await sleep(10);
+    expect(cache.get('foo')).toBe(promise);
+  });
+
+  it('expires entries after the default "ttl"', async () => {
+    const cache = new SimpleCache({ ttl: 10 });
+    const promise = Promise.resolve(createState());
+    cache.set('foo', promise);
+
+    expect(cache.get('foo')).toBe(promise);
+    await sleep(20);
+    expect(cache.get('foo')).toBeUndefined();
+    expect(cache.cache).toEqual({});
+  });
+
+  it('supports overriding "ttl" per entry', async () => {
+    const cache = new SimpleCache({ ttl: 10 });
+    const promise = Promise.resolve(createState());
+    cache.set('foo', promise, { ttl: 1000 });
+    cache.set('bar', promise, { ttl: null });
+
+    await sleep(20);
+    expect(cache.get('foo')).toBe(promise);
+    expect(cache.get('bar')).toBe(promise);
+  });
+
+  it('uses "Cache-Control: max-age" of the response', async () => {
+    const cache = new SimpleCache({ ttl: 1000 });
+    const promise = Promise.resolve(
+      createState({ 'Cache-Control': 'public, max-age=0' })
+    );
+    cache.set('foo', promise);
+
+    expect(cache.get('foo')).toBe(promise);
+    await promise;
+    await sleep(0);
+    expect(cache.get('foo')).toBeUndefined();
+  });
+
+  it('does not store responses with "Cache-Control: no-store"', async () => {
+    const cache = new SimpleCache();
+    const promise = Promise.resolve(
+      createState({ 'Cache-Control': 'private, no-store' })
+    );
+    cache.set('foo', promise);
+
+    expect(cache.get('foo')).toBe(promise);
+    await promise;
+    await sleep(0);
+    expect(cache.get('foo')).toBeUndefined();
+    expect(cache.keys).toEqual([]);
+  });
+
+  it('expires responses with "Cache-Control: no-cache" immediately', async () => {
+    const cache = new SimpleCache();
+    const promise = Promise.resolve(
+      createState({ 'Cache-Control': 'no-cache, max-age=60' })
+    );
+    cache.set('foo', promise);
+
+    expect(cache.get('foo')).toBe(promise);
+    await promise;
+    await sleep(0);
+    expect(cache.get('foo')).toBeUndefined();
+  });
+
+  it('uses "Expires" of the response', async () => {
+    const cache = new SimpleCache();
+    const expires = new Date(Date.now() + 60000).toUTCString();
+    const promise = Promise.resolve(createState({ Expires: expires }));
+    cache.set('foo', promise);
+
+    await promise;
+    await sleep(0);
+    expect(cache.expires.foo).toBeGreaterThan(Date.now());
+    expect(cache.get('foo')).toBe(promise);
+
+    const expiredPromise = Promise.resolve(createState({ Expires: '0' }));
+    cache.set('bar', expiredPromise);
+
+    await expiredPromise;
+    await sleep(0);
+    expect(cache.get('bar')).toBeUndefined();
+  });
+
+  it('prefers "max-age" over "Expires"', async () => {
+    const cache = new SimpleCache();
+    const promise = Promise.resolve(
+      createState({ 'Cache-Control': 'max-age=60', Expires: '0' })
+    );
+    cache.set('foo', promise);
+
+    await promise;
+    await sleep(0);
+    expect(cache.get('foo')).toBe(promise);
+  });
+
+  it('does not use response headers if "ttl" is passed explicitly', async () => {
+    const cache = new SimpleCache();
+    const promise = Promise.resolve(
+      createState({ 'Cache-Control': 'max-age=0' })
+    );
+    cache.set('foo', promise, { ttl: 1000 });
+
+    await promise;
+    await sleep(0);
+    expect(cache.get('foo')).toBe(promise);
+  });
+
+  it('does not use response headers if "respectCacheHeaders" is false', async () => {
+    const cache = new SimpleCache({ respectCacheHeaders: false });
+    const promise = Promise.resolve(
+      createState({ 'Cache-Control': 'max-age=0' })
+    );
+    cache.set('foo', promise);
+
+    await promise;
+    await sleep(0);
+    expect(cache.get('foo')).toBe(promise);
+  });
+});
+
+describe('eviction', () => {
+  it('evicts least recently used entries over "maxEntries"', () => {
+    const cache = new SimpleCache({ maxEntries: 2 });
+    const promise = Promise.resolve(createState());
+    cache.set('foo', promise);
+    cache.set('bar', promise);
+
+    // Mark `foo` as recently used
+    expect(cache.get('foo')).toBe(promise);
+
+    cache.set('baz', promise);
+
+    expect(cache.get('bar')).toBeUndefined();
+    expect(cache.get('foo')).toBe(promise);
+    expect(cache.get('baz')).toBe(promise);
+    expect(cache.keys).toEqual(['foo', 'baz']);
+  });
+
+  it('does not count replacing an entry towards "maxEntries"', () => {
+    const cache = new SimpleCache({ maxEntries: 2 });
+    cache.set('foo', Promise.resolve(createState()));
+    cache.set('bar', Promise.resolve(createState()));
+    cache.set('bar', Promise.resolve(createState()));
+
+    expect(cache.keys).toEqual(['foo', 'bar']);
+    expect(cache.getStats().evictions).toBe(0);
+  });
+
+  it('evicts least recently used entries over "maxBytes"', async () => {
+    const cache = new SimpleCache({ maxBytes: 50 });
+
+    const state = { data: { value: 'x'.repeat(10) } };
+    const size = JSON.stringify(state.data).length;
+
+    const promise1 = Promise.resolve(state);
+    cache.set('foo', promise1);
+    const promise2 = Promise.resolve(state);
+    cache.set('bar', promise2);
+    await Promise.all([promise1, promise2]);
+    expect(cache.bytes).toBe(size * 2);
+
+    const promise3 = Promise.resolve(state);
+    cache.set('baz', promise3);
+    await promise3;
+
+    expect(cache.keys).toEqual(['bar', 'baz']);
+    expect(cache.bytes).toBe(size * 2);
+  });
+
+  it('supports custom "sizeOf"', async () => {
+    const sizeOf = jest.fn().mockReturnValue(10);
+    const cache = new SimpleCache({ maxBytes: 15, sizeOf });
+
+    const state = createState();
+    const promise1 = Promise.resolve(state);
+    cache.set('foo', promise1);
+    const promise2 = Promise.resolve(state);
+    cache.set('bar', promise2);
+    await Promise.all([promise1, promise2]);
+
+    expect(sizeOf).toHaveBeenCalledWith(state);
+    expect(cache.keys).toEqual(['bar']);
+  });
+
+  it('tracks hits, misses and evictions', () => {
+    const cache = new SimpleCache({ maxEntries: 1 });
+    const promise = Promise.resolve(createState());
+
+    cache.get('foo');
+    cache.set('foo', promise);
+    cache.get('foo');
+    cache.get('foo');
+    cache.set('bar', promise);
+
+    expect(cache.getStats()).toEqual({
+      hits: 2,
+      misses: 1,
+      evictions: 1,
+      entries: 1,
+      bytes: 0
+    });
+  });
+
+  it('counts expired entries as misses', async () => {
+    const cache = new SimpleCache({ ttl: 0 });
+    cache.set('foo', Promise.resolve(createState()));
+
+    await sleep(1);
+    expect(cache.get('foo')).toBeUndefined();
+    expect(cache.getStats()).toMatchObject({ hits: 0, misses: 1, entries: 0 });
+  });
+});
+
+describe('cacheErrors', () => {
+  it('removes entries which reject', async () => {
+    const cache = new SimpleCache();
+    const promise = Promise.reject(new Error('BOOM!'));
+    cache.set('foo', promise);
+
+    await promise.catch(() => {});
+    await sleep(0);
+    expect(cache.get('foo')).toBeUndefined();
+  });
+
+  it('removes entries which resolve with an error', async () => {
+    const cache = new SimpleCache();
+
+    const errorPromise = Promise.resolve({ error: { Error: 'BOOM!' } });
+    cache.set('foo', errorPromise);
+
+    const notOkState = createState();
+    notOkState.response.ok = false;
+    const notOkPromise = Promise.resolve(notOkState);
+    cache.set('bar', notOkPromise);
+
+    await Promise.all([errorPromise, notOkPromise]);
+    await sleep(0);
+    expect(cache.get('foo')).toBeUndefined();
+    expect(cache.get('bar')).toBeUndefined();
+  });
+
+  it('does not remove a newer entry when an older one fails', async () => {
+    const cache = new SimpleCache();
+    const errorPromise = Promise.resolve({ error: { Error: 'BOOM!' } });
+    cache.set('foo', errorPromise);
+    const promise = Promise.resolve(createState());
+    cache.set('foo', promise);
+
+    await errorPromise;
+    await sleep(0);
+    expect(cache.get('foo')).toBe(promise);
+  });
+
+  it('keeps failed entries if "cacheErrors" is true', async () => {
+    const cache = new SimpleCache({ cacheErrors: true });
+    const promise = Promise.resolve({ error: { Error: 'BOOM!' } });
+    cache.set('foo', promise);
+
+    await promise;
+    await sleep(0);
+    expect(cache.get('foo')).toBe(promise);
+  });
+
+  it('keeps failed entries for "cacheErrors" milliseconds if a number', async () => {
+    const cache = new SimpleCache({ cacheErrors: 50 });
+    const promise = Promise.resolve({ error: { Error: 'BOOM!' } });
+    cache.set('foo', promise);
+
+    await promise;
+    await sleep(0);
+    expect(cache.get('foo')).toBe(promise);
+
+    await sleep(100);
+    expect(cache.get('foo')).toBeUndefined();
+  });
+
+  it('supports overriding "cacheErrors" per entry', async () => {
+    const cache = new SimpleCache();
+    const promise = Promise.resolve({ error: { Error: 'BOOM!' } });
+    cache.set('foo', promise, { cacheErrors: true });
+
+    await promise;
+    await sleep(0);
+    expect(cache.get('foo')).toBe(promise);
+  });
+});
+
+describe('invalidate', () => {
+  function createCache() {
+    const cache = new SimpleCache();
+    cache.set('/users', Promise.resolve(createState()), { tags: ['users'] });
+    cache.set('/users/5', Promise.resolve(createState()), {
+      tags: ['users', 'user:5']
+    });
+    cache.set('["POST","/search","{}",[]]', Promise.resolve(createState()), {
+      url: '/search'
+    });
+    cache.set('/posts', Promise.resolve(createState()), { tags: ['posts'] });
+    return cache;
+  }
+
+  it('removes entries with any of the "tags"', () => {
+    const cache = createCache();
+
+    expect(cache.invalidate({ tags: ['user:5', 'posts'] })).toEqual([
+      '/users/5',
+      '/posts'
+    ]);
+    expect(cache.get('/users/5')).toBeUndefined();
+    expect(cache.get('/posts')).toBeUndefined();
+    expect(cache.get('/users')).toBeDefined();
+  });
+
+  it('removes entries whose url starts with "urlPrefix"', () => {
+    const cache = createCache();
+
+    expect(cache.invalidate({ urlPrefix: '/users' })).toEqual([
+      '/users',
+      '/users/5'
+    ]);
+    // Matches the url of entries not keyed by url
+    expect(cache.invalidate({ urlPrefix: '/search' })).toEqual([
+      '["POST","/search","{}",[]]'
+    ]);
+    expect(cache.getStats().entries).toBe(1);
+  });
+
+  it('removes entries matching "predicate"', () => {
+    const cache = createCache();
+    const predicate = jest.fn((key, { url, tags }) => tags.length === 0);
+
+    expect(cache.invalidate({ predicate })).toEqual([
+      '["POST","/search","{}",[]]'
+    ]);
+    expect(predicate).toBeCalledWith('/users/5', {
+      url: '/users/5',
+      tags: ['users', 'user:5']
+    });
+  });
+
+  it('removes entries matching all filters', () => {
+    const cache = createCache();
+
+    expect(cache.invalidate({ tags: ['users'], urlPrefix: '/users/' })).toEqual(
+      ['/users/5']
+    );
+  });
+
+  it('removes every entry without filters', () => {
+    const cache = createCache();
+
+    expect(cache.invalidate().length).toBe(4);
+    expect(cache.getStats().entries).toBe(0);
+  });
+
+  it('notifies "onInvalidate" listeners', () => {
+    const cache = createCache();
+    const listener = jest.fn();
+    const unsubscribe = cache.onInvalidate(listener);
+
+    cache.invalidate({ tags: ['posts'] });
+    expect(listener).toBeCalledWith(['/posts']);
+
+    // Not called if nothing was removed
+    cache.invalidate({ tags: ['posts'] });
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    unsubscribe();
+    cache.invalidate();
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not keep tags of removed entries', () => {
+    const cache = createCache();
+    cache.remove('/users');
+    cache.set('/users', Promise.resolve(createState()));
+
+    expect(cache.invalidate({ tags: ['users'] })).toEqual(['/users/5']);
+  });
+});
+
+describe('subscribe', () => {
+  it('notifies listeners when the entry is set', () => {
+    const cache = new SimpleCache();
+    const listener = jest.fn();
+    cache.subscribe('/users', listener);
+
+    const promise = Promise.resolve(createState());
+    cache.set('/users', promise);
+    cache.set('/posts', Promise.resolve(createState()));
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toBeCalledWith(promise);
+  });
+
+  it('notifies listeners with "undefined" when the entry is removed', () => {
+    const cache = new SimpleCache();
+    const listener = jest.fn();
+    cache.set('/users', Promise.resolve(createState()));
+    cache.subscribe('/users', listener);
+
+    cache.remove('/users');
+    // Already removed
+    cache.remove('/users');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toBeCalledWith(undefined);
+  });
+
+  it('notifies listeners when the entry expires', async () => {
+    const cache = new SimpleCache({ ttl: 10 });
+    const listener = jest.fn();
+    cache.set('/users', Promise.resolve(createState()));
+    cache.subscribe('/users', listener);
+
+    await sleep(20);
+    expect(cache.get('/users')).toBeUndefined();
+    expect(listener).toBeCalledWith(undefined);
+  });
+
+  it('notifies listeners when the entry is evicted', () => {
+    const cache = new SimpleCache({ maxEntries: 1 });
+    const listener = jest.fn();
+    cache.set('/users', Promise.resolve(createState()));
+    cache.subscribe('/users', listener);
+
+    cache.set('/posts', Promise.resolve(createState()));
+
+    expect(listener).toBeCalledWith(undefined);
+  });
+
+  it('notifies listeners when the entry is invalidated or cleared', () => {
+    const cache = new SimpleCache();
+    const usersListener = jest.fn();
+    const postsListener = jest.fn();
+    cache.set('/users', Promise.resolve(createState()), { tags: ['users'] });
+    cache.set('/posts', Promise.resolve(createState()));
+    cache.subscribe('/users', usersListener);
+    cache.subscribe('/posts', postsListener);
+
+    cache.invalidate({ tags: ['users'] });
+    expect(usersListener).toBeCalledWith(undefined);
+    expect(postsListener).not.toBeCalled();
+
+    cache.clear();
+    expect(usersListener).toHaveBeenCalledTimes(1);
+    expect(postsListener).toBeCalledWith(undefined);
+  });
+
+  it('does not notify listeners after unsubscribing', () => {
+    const cache = new SimpleCache();
+    const listener = jest.fn();
+    const unsubscribe = cache.subscribe('/users', listener);
+
+    unsubscribe();
+    cache.set('/users', Promise.resolve(createState()));
+
+    expect(listener).not.toBeCalled();
+  });
+});
+
+describe('getState', () => {
+  it('returns the resolved state without counting a hit', async () => {
+    const cache = new SimpleCache({ ttl: 20 });
+    const state = createState();
+    const promise = Promise.resolve(state);
+    cache.set('/users', promise);
+    expect(cache.getState('/users')).toBeUndefined();
+
+    await promise;
+    expect(cache.getState('/users')).toBe(state);
+    expect(cache.getStats()).toMatchObject({ hits: 0, misses: 0 });
+
+    await sleep(30);
+    expect(cache.getState('/users')).toBeUndefined();
+  });
+});
+
+describe('setData', () => {
+  it('stores data readable with "getData"', async () => {
+    const cache = new SimpleCache();
+    cache.setData('/users', [{ id: 1 }]);
+
+    expect(cache.getData('/users')).toEqual([{ id: 1 }]);
+    expect(await cache.get('/users')).toEqual({
+      loading: false,
+      data: [{ id: 1 }],
+      error: undefined,
+      isStale: false,
+      revalidating: false
+    });
+  });
+
+  it('keeps the request, response and tags of the entry', async () => {
+    const cache = new SimpleCache();
+    const state = createState();
+    const promise = Promise.resolve(state);
+    cache.set('/users', promise, { tags: ['users'] });
+    await promise;
+
+    cache.setData('/users', []);
+
+    expect(await cache.get('/users')).toMatchObject({
+      data: [],
+      response: state.response
+    });
+    expect(cache.invalidate({ tags: ['users'] })).toEqual(['/users']);
+  });
+
+  it('returns "undefined" from "getData" for missing or pending entries', () => {
+    const cache = new SimpleCache();
+    cache.set('/users', new Promise(() => {}));
+
+    expect(cache.getData('/users')).toBeUndefined();
+    expect(cache.getData('/posts')).toBeUndefined();
+  });
+
+  it('notifies subscribers', () => {
+    const cache = new SimpleCache();
+    const listener = jest.fn();
+    cache.subscribe('/users', listener);
+
+    cache.setData('/users', []);
+
+    expect(listener).toBeCalledWith(cache.get('/users'));
+  });
+});
+
+describe('updateData', () => {
+  it('stores the result of the updater', () => {
+    const cache = new SimpleCache();
+    const updater = jest.fn((users = []) => users.concat({ id: 1 }));
+
+    cache.updateData('/users', updater);
+    cache.updateData('/users', updater);
+
+    expect(updater).toBeCalledWith(undefined);
+    expect(cache.getData('/users')).toEqual([{ id: 1 }, { id: 1 }]);
+  });
+
+  it('updates pending entries once resolved', async () => {
+    const cache = new SimpleCache();
+    let resolve;
+    cache.set('/users', new Promise(r => (resolve = r)));
+
+    cache.updateData('/users', users => users.concat({ id: 2 }));
+    resolve({ ...createState(), data: [{ id: 1 }] });
+
+    expect(await cache.get('/users')).toMatchObject({
+      data: [{ id: 1 }, { id: 2 }]
+    });
+    expect(cache.getData('/users')).toEqual([{ id: 1 }, { id: 2 }]);
+  });
+});
+
+describe('extract', () => {
+  it('restores extracted entries in another cache', async () => {
+    const cache1 = new SimpleCache();
+    const promise = Promise.resolve({
+      ...createState({ 'Content-Type': 'application/json' }),
+      request: { url: '/users' }
+    });
+    cache1.set('/users', promise, { tags: ['users'] });
+    cache1.set('/pending', new Promise(() => {}));
+    cache1.set(
+      '/failed',
+      Promise.resolve({ ...createState(), error: 'Oops' }),
+      {
+        cacheErrors: true
+      }
+    );
+    await promise;
+
+    const entries = JSON.parse(JSON.stringify(cache1.extract()));
+    expect(Object.keys(entries)).toEqual(['/users']);
+
+    const cache2 = new SimpleCache();
+    cache2.restore(entries);
+
+    const state = cache2.getState('/users');
+    expect(state).toMatchObject({
+      request: { url: '/users' },
+      loading: false,
+      data: { hello: 'world' }
+    });
+    expect(state.response.status).toBe(200);
+    expect(cache2.invalidate({ tags: ['users'] })).toEqual(['/users']);
+  });
+
+  it('keeps the remaining "ttl" of entries', async () => {
+    const cache1 = new SimpleCache({ ttl: 30 });
+    const promise = Promise.resolve(createState());
+    cache1.set('/users', promise);
+    await promise;
+
+    const cache2 = new SimpleCache();
+    cache2.restore(cache1.extract());
+    expect(cache2.getData('/users')).toEqual({ hello: 'world' });
+
+    await sleep(40);
+    expect(cache2.getData('/users')).toBeUndefined();
+  });
+});
@@ -0,0 +1,81 @@
+// Refresh state shared by all requests using the same `refreshAuth` function
+const sessions = new WeakMap();
+
+function getSession(refreshAuth) {
+  let session = sessions.get(refreshAuth);
+  if (!session) {
+    // `generation` is incremented after each successful refresh
+    session = { pending: null, generation: 0, result: undefined };
+    sessions.set(refreshAuth, session);
+  }
+  return session;
+}
+
+function createAuthError(error) {
+  const authError = new Error(
+    `Unable to refresh authentication${
+      error && error.message ? `: ${error.message}` : ''
+    }`
+  );
+  authError.name = 'AuthError';
+  authError.cause = error;
+  return authError;
+}
+
+// Send a request (via `send()`, or `send(options)` when replayed) and, if the response is `401`, call `refreshAuth()`
+// and send it once more.  Concurrent requests share a single refresh: requests failing while a refresh is pending (or
+// sent before it completed) wait for it and are replayed, and requests sent while a refresh is pending wait for it
+// first.  If the refresh fails, every waiting request is rejected with the same `AuthError` and `onAuthError` is
+// called once.
+export default function sendWithAuth(refreshAuth, send, onAuthError) {
+  const session = getSession(refreshAuth);
+
+  const start = () => {
+    const { generation } = session;
+    return send().then(response => ({ generation, response }));
+  };
+
+  // The result of a refresh may be options (ex. `{ headers: { Authorization } }`) to use for replayed requests
+  const replay = result =>
+    send(result && typeof result === 'object' ? result : {});
+
+  return (session.pending ? session.pending.then(() => start()) : start()).then(
+    ({ generation, response }) => {
+      if (!response || response.status !== 401) {
+        return response;
+      }
+
+      if (session.pending) {
+        // Already being refreshed by another request
+        return session.pending.then(replay);
+      }
+
+      if (session.generation !== generation) {
+        // Refreshed since this request was sent
+        return replay(session.result);
+      }
+
+      const pending = Promise.resolve()
+        .then(() => refreshAuth())
+        .then(
+          result => {
+            session.generation++;
+            session.result = result;
+            session.pending = null;
+            return result;
+          },
+          error => {
+            session.pending = null;
+            const authError = createAuthError(error);
+            if (typeof onAuthError === 'function') {
+              onAuthError(authError);
+            }
+            throw authError;
+          }
+        );
+      session.pending = pending;
+
+      return pending.then(replay);
+    }
+  );
+}
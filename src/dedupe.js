@@ -0,0 +1,98 @@
+// In-flight requests shared between subscribers, keyed by request key
+const inflight = {};
+
+function createAbortError() {
+  const error = new Error('The user aborted a request.');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Share a single request between all subscribers (ex. `<Fetch />` instances) requesting the same key with the
+// same `fetchFunction` at the same time.  Each subscriber receives its own clone of the response, and the
+// request is only aborted once every subscriber has aborted (via `options.signal`).
+export default function dedupeFetch(
+  key,
+  fetchFunction,
+  url,
+  options,
+  subscriber
+) {
+  let entry = inflight[key];
+
+  if (
+    !entry ||
+    entry.fetchFunction !== fetchFunction ||
+    entry.subscribers.indexOf(subscriber) !== -1 // Refetch by the same subscriber
+  ) {
+    const controller =
+      typeof AbortController === 'undefined' ? null : new AbortController();
+    const remove = () => {
+      if (inflight[key] === entry) {
+        delete inflight[key];
+      }
+    };
+
+    entry = {
+      fetchFunction,
+      controller,
+      remove,
+      subscribers: [],
+      promise: fetchFunction(
+        url,
+        controller ? { ...options, signal: controller.signal } : options
+      )
+    };
+    entry.promise.then(remove, remove);
+    inflight[key] = entry;
+  }
+
+  const { promise, subscribers } = entry;
+  subscribers.push(subscriber);
+
+  const unsubscribe = () => {
+    const index = subscribers.indexOf(subscriber);
+    if (index !== -1) {
+      subscribers.splice(index, 1);
+    }
+    return index !== -1;
+  };
+
+  return new Promise((resolve, reject) => {
+    const signal = options && options.signal;
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        if (!unsubscribe()) {
+          return;
+        }
+
+        if (subscribers.length === 0) {
+          // Nobody else is waiting on the response
+          entry.remove();
+          if (entry.controller) {
+            entry.controller.abort();
+          }
+        }
+
+        reject(createAbortError());
+      });
+    }
+
+    promise.then(
+      response => {
+        if (unsubscribe()) {
+          // Clone so each subscriber can read the body
+          resolve(
+            response && typeof response.clone === 'function'
+              ? response.clone()
+              : response
+          );
+        }
+      },
+      error => {
+        if (unsubscribe()) {
+          reject(error);
+        }
+      }
+    );
+  });
+}
@@ -1,3 +1,21 @@
 export { default } from './Fetch';
+export { default as useFetch } from './useFetch';
+export { default as Mutation } from './Mutation';
+export { default as useMutation } from './useMutation';
+export { default as FetchAll } from './FetchAll';
+export { default as useFetchAll } from './useFetchAll';
+export { default as PaginatedFetch } from './PaginatedFetch';
+export { default as useInfiniteFetch } from './useInfiniteFetch';
+export { default as prefetch } from './prefetch';
+export { default as FetchProvider, FetchContext } from './FetchProvider';
 export { default as SimpleCache } from './SimpleCache';
-export { renderChildren, parseBody } from './utils';
+export {
+  default as PersistentCache,
+  createIndexedDBStorage
+} from './PersistentCache';
+export {
+  renderChildren,
+  parseBody,
+  parseLinkHeader,
+  defaultCacheKey
+} from './utils';
@@ -0,0 +1,20 @@
+import Fetcher from './Fetcher';
+
+// Send a request (unless already cached) and store the response in `props.cache`, so a later `<Fetch />` using the
+// cache renders it without waiting (ex. when hovering a link).  Accepts the same props as `<Fetch />` (ex. `as`,
+// `fetchFunction`, `cacheKey`, `baseUrl`), and resolves with the state passed to the child function (it does not
+// reject)
+export default function prefetch(url, options, props = {}) {
+  const fetcher = new Fetcher(
+    { ...props, url, options, manual: true },
+    null,
+    () => {}
+  );
+  fetcher.setCache(props.cache);
+
+  return Promise.resolve(fetcher.fetch(url, options)).catch(error => ({
+    request: { url, options },
+    loading: false,
+    error
+  }));
+}
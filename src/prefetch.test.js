@@ -0,0 +1,121 @@
+import React from 'react';
+import { configure, mount } from 'enzyme';
+import Adapter from 'enzyme-adapter-react-16';
+import fetchMock from 'fetch-mock';
+
+fetchMock.config.overwriteRoutes = false;
+
+import Fetch, { prefetch, useFetch, SimpleCache } from './';
+
+configure({ adapter: new Adapter() });
+
+afterEach(fetchMock.restore);
+
+describe('prefetch', () => {
+  it('stores the parsed response in the cache', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { hello: 'world' });
+    const cache = new SimpleCache();
+
+    const state = await prefetch(url, undefined, { cache });
+
+    expect(state).toMatchObject({
+      request: { url },
+      loading: false,
+      data: { hello: 'world' },
+      error: undefined
+    });
+    expect(state.response.ok).toBe(true);
+    expect(cache.getData(url)).toEqual({ hello: 'world' });
+  });
+
+  it('renders prefetched data on the first render without a request', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { hello: 'world' });
+    const cache = new SimpleCache();
+    await prefetch(url, undefined, { cache });
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(
+      <Fetch url={url} cache={cache}>
+        {mockChildren}
+      </Fetch>
+    );
+    await Promise.all(wrapper.instance().fetcher.promises);
+
+    expect(fetchMock.calls(url).length).toBe(1);
+    expect(mockChildren.mock.calls[0][0]).toMatchObject({
+      loading: false,
+      data: { hello: 'world' }
+    });
+  });
+
+  it('renders prefetched data on the first render of "useFetch"', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { hello: 'world' });
+    const cache = new SimpleCache();
+    await prefetch(url, undefined, { cache });
+
+    const mockRender = jest.fn();
+    function Component() {
+      mockRender(useFetch(url, { cache }));
+      return <div />;
+    }
+    const wrapper = mount(<Component />);
+
+    expect(mockRender.mock.calls[0][0]).toMatchObject({
+      loading: false,
+      data: { hello: 'world' }
+    });
+    wrapper.unmount();
+  });
+
+  it('does not send a request if already cached', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { hello: 'world' });
+    const cache = new SimpleCache();
+
+    await prefetch(url, undefined, { cache });
+    const state = await prefetch(url, undefined, { cache });
+
+    expect(fetchMock.calls(url).length).toBe(1);
+    expect(state.data).toEqual({ hello: 'world' });
+  });
+
+  it('supports the same props as "Fetch"', async () => {
+    const url = 'http://localhost/users';
+    const fetchFunction = jest.fn(() =>
+      Promise.resolve(new fetchMock.config.Response('hello'))
+    );
+    const cache = new SimpleCache();
+
+    const state = await prefetch(
+      '/users',
+      { headers: { Accept: 'text/plain' } },
+      { cache, baseUrl: 'http://localhost', fetchFunction, as: 'text' }
+    );
+
+    expect(fetchFunction).toBeCalledWith(
+      url,
+      expect.objectContaining({ headers: { Accept: 'text/plain' } })
+    );
+    expect(state.data).toBe('hello');
+    expect(cache.getData(url)).toBe('hello');
+  });
+
+  it('resolves with the error if the request fails', async () => {
+    const url = 'http://localhost';
+    const error = new Error('Network error');
+    const cache = new SimpleCache();
+
+    const state = await prefetch(url, undefined, {
+      cache,
+      fetchFunction: () => Promise.reject(error)
+    });
+
+    expect(state).toMatchObject({ loading: false, error });
+    expect(cache.get(url)).toBeUndefined();
+  });
+});
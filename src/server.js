@@ -0,0 +1,36 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+
+import { FetchContext } from './FetchProvider';
+
+// Render `element` and wait for the initial requests of `<Fetch />` components (and `useFetch`) to be stored in
+// their cache, rendering again until no more are sent (ex. by components only rendered once data is available).
+// Resolves with the markup of the last render.  Kept out of `index.js` so clients do not depend on `react-dom/server`
+export function getDataFromTree(
+  element,
+  renderFunction = renderToStaticMarkup
+) {
+  // Requests sent during the current render, and the keys requested by any render
+  const ssr = { requests: [], requested: [] };
+
+  const tree = (
+    <FetchContext.Consumer>
+      {parent => (
+        <FetchContext.Provider value={{ ...parent, ssr }}>
+          {element}
+        </FetchContext.Provider>
+      )}
+    </FetchContext.Consumer>
+  );
+
+  const render = () => {
+    ssr.requests = [];
+    const markup = renderFunction(tree);
+
+    return ssr.requests.length
+      ? Promise.all(ssr.requests).then(render)
+      : markup;
+  };
+
+  return Promise.resolve().then(render);
+}
@@ -0,0 +1,132 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import { renderToString } from 'react-dom/server';
+
+import Fetch, { FetchProvider, SimpleCache, useFetch } from './';
+import { getDataFromTree } from './server';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createFetchFunction(responses) {
+  return jest.fn(url =>
+    Promise.resolve({
+      ok: true,
+      status: 200,
+      headers: {
+        get: name => (name === 'Content-Type' ? 'application/json' : null)
+      },
+      json: () => Promise.resolve(responses[url])
+    })
+  );
+}
+
+function User({ id }) {
+  return (
+    <Fetch url={`/users/${id}`}>
+      {({ data }) =>
+        data ? <span>{data.name}</span> : <span>Loading user</span>
+      }
+    </Fetch>
+  );
+}
+
+function Post() {
+  const { data } = useFetch('/posts/1');
+  return data ? (
+    <div>
+      <h1>{data.title}</h1>
+      <User id={data.userId} />
+    </div>
+  ) : (
+    <div>Loading post</div>
+  );
+}
+
+const responses = {
+  '/posts/1': { title: 'Hello', userId: 5 },
+  '/users/5': { name: 'Jane' }
+};
+
+describe('getDataFromTree', () => {
+  it('renders once the requests are cached, including those of nested components', async () => {
+    const fetchFunction = createFetchFunction(responses);
+    const cache = new SimpleCache();
+
+    const markup = await getDataFromTree(
+      <FetchProvider cache={cache} fetchFunction={fetchFunction}>
+        <Post />
+      </FetchProvider>
+    );
+
+    expect(markup).toBe('<div><h1>Hello</h1><span>Jane</span></div>');
+    expect(fetchFunction.mock.calls.map(([url]) => url)).toEqual([
+      '/posts/1',
+      '/users/5'
+    ]);
+    expect(cache.getData('/users/5')).toEqual({ name: 'Jane' });
+  });
+
+  it('sends each request once', async () => {
+    const fetchFunction = createFetchFunction(responses);
+    const cache = new SimpleCache();
+
+    await getDataFromTree(
+      <FetchProvider cache={cache} fetchFunction={fetchFunction}>
+        <User id={5} />
+        <User id={5} />
+      </FetchProvider>
+    );
+
+    expect(fetchFunction).toHaveBeenCalledTimes(1);
+  });
+
+  it('renders the loading state of failed or uncached requests', async () => {
+    const cache = new SimpleCache();
+    const fetchFunction = jest.fn(() => Promise.reject(new Error('Oops')));
+
+    const markup = await getDataFromTree(
+      <div>
+        <FetchProvider cache={cache} fetchFunction={fetchFunction}>
+          <User id={5} />
+        </FetchProvider>
+        <Fetch url="/users/6" fetchFunction={fetchFunction}>
+          {({ data }) => (data ? 'User' : 'Loading')}
+        </Fetch>
+      </div>
+    );
+
+    expect(markup).toBe('<div><span>Loading user</span>Loading</div>');
+    expect(fetchFunction).toHaveBeenCalledTimes(1);
+  });
+
+  it('hydrates the markup on the client without sending the requests again', async () => {
+    const fetchFunction = createFetchFunction(responses);
+    const serverCache = new SimpleCache();
+    const App = ({ cache }) => (
+      <FetchProvider cache={cache} fetchFunction={fetchFunction}>
+        <User id={5} />
+      </FetchProvider>
+    );
+
+    await getDataFromTree(<App cache={serverCache} />);
+    const html = renderToString(<App cache={serverCache} />);
+    const serialized = JSON.stringify(serverCache.extract());
+
+    const clientCache = new SimpleCache();
+    clientCache.restore(JSON.parse(serialized));
+
+    const container = document.createElement('div');
+    container.innerHTML = html;
+    jest.spyOn(console, 'error');
+
+    ReactDOM.hydrate(<App cache={clientCache} />, container);
+    await sleep(0);
+
+    expect(console.error).not.toBeCalled();
+    expect(container.innerHTML).toBe(html);
+    expect(fetchFunction).toHaveBeenCalledTimes(1);
+
+    console.error.mockRestore();
+    ReactDOM.unmountComponentAtNode(container);
+  });
+});
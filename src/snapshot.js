@@ -0,0 +1,74 @@
+import { getLinks } from './utils';
+
+// Resolved states (as produced by `Fetch`) as plain objects `{ url, data, error, status, statusText, headers }`
+// which can be serialized (ex. to storage or into server rendered markup) and restored
+
+// Only plain values survive a round trip through JSON (not `Blob`, `Error`, `Date`, etc)
+function isSerializable(value) {
+  if (value == null || typeof value !== 'object') {
+    return typeof value !== 'function' && typeof value !== 'symbol';
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === Array.prototype;
+}
+
+export function createSnapshot({ request, data, error, response }) {
+  if (!isSerializable(data) || !isSerializable(error)) {
+    return null;
+  }
+
+  const headers = [];
+  if (response && response.headers && response.headers.forEach) {
+    response.headers.forEach((value, name) => headers.push([name, value]));
+  }
+
+  return {
+    url: request && request.url,
+    data,
+    error,
+    status: response ? response.status : undefined,
+    statusText: response ? response.statusText : undefined,
+    headers
+  };
+}
+
+function createResponse({ status, statusText, headers }) {
+  if (typeof Response === 'function') {
+    try {
+      return new Response(null, { status, statusText, headers });
+    } catch (e) {
+      // Fallback below (ex. status not allowed by constructor)
+    }
+  }
+
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText,
+    headers: {
+      get: name => {
+        const header = headers.filter(
+          ([key]) => key.toLowerCase() === name.toLowerCase()
+        )[0];
+        return header ? header[1] : null;
+      }
+    }
+  };
+}
+
+// Restore the state shape `Fetch` produces from a snapshot
+export function restoreState(snapshot) {
+  const response =
+    snapshot.status !== undefined ? createResponse(snapshot) : undefined;
+
+  return {
+    request: { url: snapshot.url },
+    loading: false,
+    data: snapshot.data,
+    error: snapshot.error,
+    ...(response && {
+      response,
+      links: getLinks(response, snapshot.url)
+    })
+  };
+}
@@ -0,0 +1,35 @@
+import { useContext, useEffect, useRef, useState } from 'react';
+
+import Fetcher from './Fetcher';
+import { FetchContext } from './FetchProvider';
+
+// Hook version of `<Fetch />`.  Accepts the same props (other than `children`) and returns the same state passed
+// to the child function
+export default function useFetch(url, props = {}) {
+  const context = useContext(FetchContext);
+  const [state, setState] = useState(null);
+  const fetcherRef = useRef(null);
+  const prevPropsRef = useRef(null);
+
+  const fetcherProps = { ...props, url };
+  if (fetcherRef.current === null) {
+    fetcherRef.current = new Fetcher(fetcherProps, context, setState);
+  }
+
+  const fetcher = fetcherRef.current;
+  fetcher.props = fetcherProps;
+  fetcher.context = context;
+
+  useEffect(() => {
+    if (prevPropsRef.current) {
+      fetcher.didUpdate(prevPropsRef.current);
+    } else {
+      fetcher.didMount();
+    }
+    prevPropsRef.current = fetcherProps;
+  });
+
+  useEffect(() => () => fetcher.willUnmount(), []);
+
+  return fetcher.read(state || fetcher.state);
+}
@@ -0,0 +1,276 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import { configure, mount } from 'enzyme';
+import Adapter from 'enzyme-adapter-react-16';
+import { act } from 'react-dom/test-utils';
+import fetchMock from 'fetch-mock';
+
+fetchMock.config.overwriteRoutes = false;
+
+import { useFetch, SimpleCache } from './';
+import { sleep, lastCall } from '../config/testUtils';
+
+configure({ adapter: new Adapter() });
+
+afterEach(fetchMock.restore);
+
+function UseFetch({ url, children, ...props }) {
+  return children(useFetch(url, props));
+}
+
+describe('useFetch', () => {
+  it('sets data on success', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    fetchMock.once(url, data);
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(<UseFetch url={url}>{mockChildren}</UseFetch>);
+    await sleep(10);
+
+    // Once for initial, once for loading, and once for response
+    expect(mockChildren.mock.calls.length).toBe(3);
+    expect(mockChildren.mock.calls[0][0]).toMatchObject({
+      loading: null,
+      request: { url }
+    });
+    expect(mockChildren.mock.calls[1][0]).toMatchObject({
+      loading: true,
+      request: { url }
+    });
+    expect(mockChildren.mock.calls[2][0]).toMatchObject({
+      loading: false,
+      data,
+      request: { url },
+      response: { status: 200 }
+    });
+  });
+
+  it('sets error if response is not ok', async () => {
+    const url = 'http://localhost';
+    const error = { message: 'Not found' };
+    fetchMock.once(url, { status: 404, body: error });
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(<UseFetch url={url}>{mockChildren}</UseFetch>);
+    await sleep(10);
+
+    expect(mockChildren.mock.calls[2][0]).toMatchObject({
+      loading: false,
+      error,
+      data: undefined
+    });
+  });
+
+  it('does not fetch until "fetch" is called if manual', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    fetchMock.once(url, data);
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <UseFetch url={url} manual>
+        {mockChildren}
+      </UseFetch>
+    );
+    await sleep(10);
+
+    expect(fetchMock.called(url)).toBe(false);
+    expect(mockChildren.mock.calls.length).toBe(1);
+
+    const { fetch } = mockChildren.mock.calls[0][0];
+    let result;
+    await act(async () => {
+      result = await fetch();
+    });
+
+    expect(result).toMatchObject({ data });
+    expect(lastCall(mockChildren)).toMatchObject({ loading: false, data });
+  });
+
+  it('refetches when the url changes', async () => {
+    const url1 = 'http://localhost/1';
+    const url2 = 'http://localhost/2';
+    fetchMock.once(url1, { page: 1 });
+    fetchMock.once(url2, { page: 2 });
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(<UseFetch url={url1}>{mockChildren}</UseFetch>);
+    await sleep(10);
+    wrapper.setProps({ url: url2 });
+    await sleep(10);
+
+    expect(fetchMock.called(url2)).toBe(true);
+    expect(lastCall(mockChildren)).toMatchObject({
+      data: { page: 2 },
+      request: { url: url2 }
+    });
+  });
+
+  it('supports "as"', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { hello: 'world' });
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <UseFetch url={url} as="text">
+        {mockChildren}
+      </UseFetch>
+    );
+    await sleep(10);
+
+    expect(mockChildren.mock.calls[2][0]).toMatchObject({
+      data: '{"hello":"world"}'
+    });
+  });
+
+  it('supports a custom fetch function', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, {});
+    const fetchFunction = jest.fn(fetchMock.fetchHandler);
+
+    mount(
+      <UseFetch url={url} fetchFunction={fetchFunction}>
+        {() => <div />}
+      </UseFetch>
+    );
+    await sleep(10);
+
+    expect(fetchFunction).toBeCalledWith(url, {
+      signal: expect.any(AbortSignal)
+    });
+  });
+
+  it('shares a cache with other instances', async () => {
+    const url = 'http://localhost';
+    const data = { hello: 'world' };
+    fetchMock.once(url, data);
+    const cache = new SimpleCache();
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <UseFetch url={url} cache={cache}>
+        {() => <div />}
+      </UseFetch>
+    );
+    await sleep(10);
+    mount(
+      <UseFetch url={url} cache={cache}>
+        {mockChildren}
+      </UseFetch>
+    );
+    await sleep(10);
+
+    expect(fetchMock.calls(url).length).toBe(1);
+    expect(lastCall(mockChildren)).toMatchObject({ data });
+  });
+
+  it('calls "onDataChange" with the current data', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, [1, 2]);
+    fetchMock.once(url, [3]);
+
+    const onDataChange = jest.fn((data, currentData = []) => [
+      ...currentData,
+      ...data
+    ]);
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <UseFetch url={url} onDataChange={onDataChange}>
+        {mockChildren}
+      </UseFetch>
+    );
+    await sleep(10);
+    await act(() => mockChildren.mock.calls[0][0].fetch());
+
+    expect(lastCall(mockChildren)).toMatchObject({ data: [1, 2, 3] });
+  });
+
+  it('ignores responses returned out of order', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(
+      url,
+      new Promise(resolve => setTimeout(resolve, 50)).then(() => ({ order: 1 }))
+    );
+    fetchMock.once(url, { order: 2 });
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    mount(
+      <UseFetch url={url} manual>
+        {mockChildren}
+      </UseFetch>
+    );
+    const { fetch } = mockChildren.mock.calls[0][0];
+    act(() => {
+      fetch();
+      fetch();
+    });
+    await sleep(100);
+
+    const datas = mockChildren.mock.calls
+      .map(([{ data }]) => data)
+      .filter(data => data);
+    expect(datas).toEqual([{ order: 2 }]);
+  });
+
+  it('does not update once unmounted', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, {});
+
+    const mockChildren = jest.fn();
+    mockChildren.mockReturnValue(<div />);
+
+    const wrapper = mount(<UseFetch url={url}>{mockChildren}</UseFetch>);
+    wrapper.unmount();
+    await sleep(10);
+
+    // Initial and loading
+    expect(mockChildren.mock.calls.length).toBe(2);
+  });
+
+  it('suspends while loading with "suspense"', async () => {
+    const url = 'http://localhost';
+    fetchMock.once(url, { hello: 'world' });
+    const cache = new SimpleCache();
+    const container = document.createElement('div');
+
+    const mockChildren = jest.fn(({ data }) => <div>{data.hello}</div>);
+
+    act(() => {
+      ReactDOM.render(
+        <React.Suspense fallback={<div>Loading</div>}>
+          <UseFetch url={url} cache={cache} suspense>
+            {mockChildren}
+          </UseFetch>
+        </React.Suspense>,
+        container
+      );
+    });
+    expect(container.textContent).toBe('Loading');
+
+    await sleep(10);
+    expect(container.textContent).toBe('world');
+    expect(fetchMock.calls(url).length).toBe(1);
+    mockChildren.mock.calls.forEach(([fetchProps]) =>
+      expect(fetchProps).toMatchObject({ loading: false })
+    );
+
+    ReactDOM.unmountComponentAtNode(container);
+  });
+});
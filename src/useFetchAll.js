@@ -0,0 +1,104 @@
+import { useContext, useEffect, useReducer, useRef } from 'react';
+
+import Fetcher from './Fetcher';
+import { FetchContext } from './FetchProvider';
+
+// Props of a request, which is a url, an object of props (ex. `{ url, options }`), or a function called with the
+// data of the requests (by name) that returns either.  Requests without a url wait (ex. for the data they need)
+function getRequestProps(request, data) {
+  const value = typeof request === 'function' ? request(data) : request;
+
+  if (!value) {
+    return { url: undefined };
+  }
+  return typeof value === 'object' ? value : { url: value };
+}
+
+// Hook to send several requests (mapped by name) in parallel, or once the requests they depend on are received.
+// Accepts the same props as `useFetch` for every request, and returns the combined `loading`, `error`, and `data`
+// (by name) along with the state of each request
+export default function useFetchAll(requests, props = {}) {
+  const context = useContext(FetchContext);
+  const [, forceUpdate] = useReducer(count => count + 1, 0);
+  const fetchersRef = useRef({});
+  const prevPropsRef = useRef({});
+
+  const fetchers = fetchersRef.current;
+  const names = Object.keys(requests);
+
+  // Data received so far, to resolve the requests depending on it
+  const data = names.reduce((result, name) => {
+    result[name] = fetchers[name] ? fetchers[name].state.data : undefined;
+    return result;
+  }, {});
+
+  const fetcherProps = {};
+  names.forEach(name => {
+    fetcherProps[name] = {
+      ...props,
+      ...getRequestProps(requests[name], data)
+    };
+
+    if (!fetchers[name]) {
+      fetchers[name] = new Fetcher(fetcherProps[name], context, forceUpdate);
+    }
+    fetchers[name].props = fetcherProps[name];
+    fetchers[name].context = context;
+  });
+
+  useEffect(() => {
+    const prevProps = prevPropsRef.current;
+
+    Object.keys(fetchers).forEach(name => {
+      if (!fetcherProps[name]) {
+        // No longer requested
+        fetchers[name].willUnmount();
+        delete fetchers[name];
+      } else if (prevProps[name]) {
+        fetchers[name].didUpdate(prevProps[name]);
+      } else {
+        fetchers[name].didMount();
+      }
+    });
+    prevPropsRef.current = fetcherProps;
+  });
+
+  useEffect(
+    () => () =>
+      Object.keys(fetchers).forEach(name => fetchers[name].willUnmount()),
+    []
+  );
+
+  const states = names.reduce((result, name) => {
+    result[name] = fetchers[name].state;
+    return result;
+  }, {});
+
+  // Requests are pending until received, including those which can be sent now that their dependencies were
+  const loading = names.some(
+    name =>
+      states[name].loading ||
+      (states[name].loading === null &&
+        !!fetcherProps[name].url &&
+        !fetcherProps[name].manual)
+  );
+  const failed = names.filter(name => states[name].error !== undefined)[0];
+
+  return {
+    loading,
+    error: failed !== undefined ? states[failed].error : undefined,
+    data: names.reduce((result, name) => {
+      result[name] = states[name].data;
+      return result;
+    }, {}),
+    requests: states,
+    // Send every request which is not waiting again
+    fetch: () =>
+      Promise.all(
+        names
+          .filter(name => fetcherProps[name].url)
+          .map(name => fetchers[name].fetch())
+      ),
+    abort: () => names.forEach(name => fetchers[name].abort())
+  };
+}
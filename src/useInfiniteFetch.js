@@ -0,0 +1,140 @@
+import { useEffect, useRef, useState } from 'react';
+
+import useFetch from './useFetch';
+
+// The `next` link of the response's `Link` header (ex. `<https://api.example.com/items?page=2>; rel="next"`)
+function getNextLink(lastPage, pages, { links }) {
+  return links && links.next ? links.next.url : undefined;
+}
+
+// Hook to request pages one after another (ex. infinite scroll).  `url` is the first page, or a function called with
+// the page param (`initialPageParam` for the first page) that returns the url of the page.  The param of the next
+// page is returned by `getNextPageParam(lastPage, pages, fetchProps)`, or `null`/`undefined` if there are no more
+// pages.  Accepts the same props as `useFetch`, and the pages are reset when the url of the first page changes
+export default function useInfiniteFetch(url, props = {}) {
+  const {
+    getNextPageParam = getNextLink,
+    initialPageParam,
+    ...fetchProps
+  } = props;
+
+  // Without a function, the params of the next pages are their url (ex. from the `Link` header)
+  const getPageUrl = pageParam =>
+    typeof url === 'function'
+      ? url(pageParam)
+      : pageParam === initialPageParam ? url : pageParam;
+  const firstUrl = getPageUrl(initialPageParam);
+
+  const first = useFetch(firstUrl, fetchProps);
+  const next = useFetch(undefined, {
+    ...fetchProps,
+    manual: true,
+    pollInterval: undefined,
+    suspense: false
+  });
+
+  // Pages after the first (and the error of the last request for one) for the first page's url
+  const [nextPages, setNextPages] = useState({
+    firstUrl,
+    pages: [],
+    error: undefined
+  });
+  const firstUrlRef = useRef(firstUrl);
+  // Until the request for a new url starts, `first` is still the state of the previous url
+  const firstUrlChanged = firstUrlRef.current !== firstUrl;
+  firstUrlRef.current = firstUrl;
+  // The last successful state of the first page, for the first page's url
+  const firstPageRef = useRef(null);
+  // The pending request for the next page, since calls before the next render still see the previous state
+  const requestRef = useRef(null);
+
+  useEffect(
+    () => () => {
+      // Pages of the previous url are no longer wanted
+      requestRef.current = null;
+      next.abort();
+    },
+    [firstUrl]
+  );
+
+  const current =
+    nextPages.firstUrl === firstUrl
+      ? nextPages
+      : { pages: [], error: undefined };
+  // The first page is kept while it is requested again (ex. `fetch` or `pollInterval`) so the next pages stay after it
+  if (
+    !firstUrlChanged &&
+    first.loading === false &&
+    first.error === undefined
+  ) {
+    firstPageRef.current = { firstUrl, state: first };
+  }
+  const firstPage =
+    firstPageRef.current && firstPageRef.current.firstUrl === firstUrl
+      ? firstPageRef.current.state
+      : null;
+  const pageStates = (firstPage ? [firstPage] : []).concat(current.pages);
+  const pages = pageStates.map(page => page.data);
+
+  const lastPage = pageStates[pageStates.length - 1];
+  const nextPageParam = lastPage
+    ? getNextPageParam(lastPage.data, pages, lastPage)
+    : undefined;
+  const hasNextPage = nextPageParam != null;
+  const isFetchingNextPage = !!next.loading;
+
+  const fetchNextPage = () => {
+    if (requestRef.current) {
+      return requestRef.current;
+    }
+    if (!hasNextPage) {
+      return Promise.resolve();
+    }
+
+    const pageCount = current.pages.length;
+    const request = Promise.resolve(
+      next.fetch(getPageUrl(nextPageParam), fetchProps.options)
+    )
+      .catch(error => ({ error }))
+      .then(state => {
+        if (requestRef.current !== request) {
+          // Reset
+          return;
+        }
+        requestRef.current = null;
+
+        if (
+          firstUrlRef.current !== firstUrl ||
+          !state ||
+          (!state.response && state.error === undefined)
+        ) {
+          // Reset or aborted
+          return;
+        }
+
+        setNextPages(latest => {
+          const pages = latest.firstUrl === firstUrl ? latest.pages : [];
+          if (pages.length !== pageCount) {
+            // Requested with the state before a previous page was added
+            return latest;
+          }
+
+          return state.response && state.response.ok
+            ? { firstUrl, pages: pages.concat(state), error: undefined }
+            : { firstUrl, pages, error: state.error };
+        });
+      });
+
+    requestRef.current = request;
+    return request;
+  };
+
+  return {
+    ...first,
+    error: first.error !== undefined ? first.error : current.error,
+    pages,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  };
+}
@@ -0,0 +1,184 @@
+import { useContext, useRef } from 'react';
+
+import useFetch from './useFetch';
+import { refreshCached } from './Fetcher';
+import { FetchContext } from './FetchProvider';
+import { mergeOptions } from './utils';
+
+// Options for sending `variables`, which are sent as JSON unless `options` is a function or includes a `body`
+function getMutationOptions(options, variables) {
+  if (typeof options === 'function') {
+    return { method: 'POST', ...options(variables) };
+  }
+
+  const defaults = { method: 'POST' };
+  if (variables !== undefined && !(options && options.body !== undefined)) {
+    defaults.headers = { 'Content-Type': 'application/json' };
+    defaults.body = JSON.stringify(variables);
+  }
+  return mergeOptions(defaults, options) || defaults;
+}
+
+// `invalidate` and `update` may be functions of the response data and variables
+function evaluate(value, data, variables) {
+  return typeof value === 'function' ? value(data, variables) : value;
+}
+
+// Options of the cached entry (its tags, url and remaining ttl) to keep when replacing it
+function getEntryOptions(cache, key) {
+  return typeof cache.getEntryOptions === 'function'
+    ? cache.getEntryOptions(key, { ttl: cache.getTtl(key) })
+    : undefined;
+}
+
+// Store the result of each of the `updates` (functions of the cached data) for keys in the cache, starting from
+// the cached promises in `base` if given.  Returns the cached promises which were updated
+function updateCache(cache, updates = {}, data, variables, base = {}) {
+  return Object.keys(updates).reduce((updated, key) => {
+    const cachedPromise = key in base ? base[key] : cache.get(key);
+    if (cachedPromise) {
+      cache.set(
+        key,
+        cachedPromise.then(cachedState => ({
+          ...cachedState,
+          data: updates[key](cachedState.data, data, variables)
+        })),
+        getEntryOptions(cache, key)
+      );
+      updated[key] = cachedPromise;
+    }
+    return updated;
+  }, {});
+}
+
+// Mounted components are notified of updated entries by caches supporting `subscribe`, otherwise read them again
+function renderUpdated(cache, keys) {
+  if (cache && typeof cache.subscribe !== 'function') {
+    refreshCached(cache, keys);
+  }
+}
+
+// Hook to send a request (`POST` by default) when `mutate(variables)` is called, such as creating an item.  Accepts
+// the same props as `useFetch` along with `onSuccess`, `onError`, `onSettled`, and cache keys to `invalidate`
+// or `update` once successful
+export default function useMutation(url, props = {}) {
+  const context = useContext(FetchContext);
+  const propsRef = useRef(props);
+  propsRef.current = props;
+
+  const {
+    onSuccess,
+    onError,
+    onSettled,
+    invalidate,
+    update,
+    ...fetchProps
+  } = props;
+
+  const state = useFetch(typeof url === 'function' ? undefined : url, {
+    ...fetchProps,
+    manual: true,
+    suspense: false,
+    // The cache (if any) is only used to invalidate or update entries
+    cache: false,
+    dedupe: false
+  });
+
+  const mutate = variables => {
+    const {
+      options,
+      cache = context.cache,
+      invalidate,
+      update,
+      optimisticData,
+      onSuccess,
+      onError,
+      onSettled
+    } = propsRef.current;
+    const useCache = cache && typeof cache === 'object';
+
+    const optimistic =
+      typeof optimisticData === 'function'
+        ? optimisticData(variables)
+        : optimisticData;
+
+    // Cached entries from before the optimistic update, to restore if the request fails
+    let previous = {};
+    if (optimistic !== undefined && useCache) {
+      previous = updateCache(
+        cache,
+        evaluate(update, optimistic, variables),
+        optimistic,
+        variables
+      );
+      renderUpdated(cache, Object.keys(previous));
+    }
+
+    const restore = () => {
+      Object.keys(previous).forEach(key =>
+        cache.set(key, previous[key], getEntryOptions(cache, key))
+      );
+      renderUpdated(cache, Object.keys(previous));
+    };
+
+    return state
+      .fetch(
+        typeof url === 'function' ? url(variables) : url,
+        getMutationOptions(options, variables),
+        optimistic !== undefined ? { optimisticData: optimistic } : undefined
+      )
+      .catch(error => ({ error }))
+      .then(result => {
+        const { data, error, response } = result;
+
+        if (response && response.ok) {
+          if (useCache) {
+            // Updates are applied to the entries from before any optimistic update
+            const updated = updateCache(
+              cache,
+              evaluate(update, data, variables),
+              data,
+              variables,
+              previous
+            );
+
+            const invalidated = evaluate(invalidate, data, variables) || [];
+            let keys = [];
+            if (Array.isArray(invalidated)) {
+              keys = invalidated;
+              keys.forEach(key => cache.remove(key));
+            } else {
+              // Filters (`tags`, `urlPrefix`, `predicate`), where mounted components are refreshed by the cache
+              cache.invalidate(invalidated);
+            }
+
+            renderUpdated(cache, Object.keys(updated));
+            // Mounted components request the invalidated entries again
+            refreshCached(cache, keys);
+          }
+
+          if (typeof onSuccess === 'function') {
+            onSuccess(data, variables, result);
+          }
+        } else if (response || error !== undefined) {
+          restore();
+
+          if (typeof onError === 'function') {
+            onError(error, variables, result);
+          }
+        } else {
+          // Aborted
+          restore();
+          return result;
+        }
+
+        if (typeof onSettled === 'function') {
+          onSettled(data, error, variables, result);
+        }
+
+        return result;
+      });
+  };
+
+  return { ...state, mutate };
+}
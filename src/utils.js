@@ -54,3 +54,254 @@ export const parseBody = (response, mapping = {}) => {
       : response.arrayBuffer();
   }
 };
+
+// Methods which do not change anything on the server, so their responses may be reused for another request
+const safeMethods = ['GET', 'HEAD', 'OPTIONS'];
+// Methods which may not be sent once for many requests
+const nonIdempotentMethods = ['POST', 'PATCH', 'CONNECT'];
+
+// Request headers (lowercase) listed in each resource's `Vary` response header, keyed by method and url
+const varyHeaders = {};
+
+export const getMethod = options =>
+  ((options && options.method) || 'GET').toUpperCase();
+
+export const isSafe = options => safeMethods.indexOf(getMethod(options)) !== -1;
+
+export const isIdempotent = options =>
+  nonIdempotentMethods.indexOf(getMethod(options)) === -1;
+
+function getHeader(headers, name) {
+  if (!headers) {
+    return undefined;
+  } else if (typeof headers.get === 'function') {
+    // `Headers` instance
+    const value = headers.get(name);
+    return value === null ? undefined : value;
+  }
+
+  const entries = Array.isArray(headers)
+    ? headers
+    : Object.keys(headers).map(key => [key, headers[key]]);
+  const entry = entries.filter(([key]) => key.toLowerCase() === name)[0];
+  return entry ? String(entry[1]) : undefined;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  } else if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  } else {
+    return JSON.stringify(value);
+  }
+}
+
+// Returns `undefined` if the body can not be serialized (ex. `Blob`, `ReadableStream`)
+function serializeBody(body) {
+  if (body == null) {
+    return '';
+  } else if (typeof body === 'string') {
+    return body;
+  } else if (
+    typeof URLSearchParams !== 'undefined' &&
+    body instanceof URLSearchParams
+  ) {
+    return body.toString();
+  } else if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    const entries = [];
+    body.forEach((value, key) => {
+      entries.push([key, typeof value === 'string' ? value : undefined]);
+    });
+    return entries.some(([key, value]) => value === undefined)
+      ? undefined
+      : stableStringify(entries);
+  } else if (Object.getPrototypeOf(body) === Object.prototype) {
+    return stableStringify(body);
+  } else {
+    return undefined;
+  }
+}
+
+// Remember which request headers the response varies on so later keys include them
+export function recordVary(url, options, response) {
+  const vary = response && response.headers && response.headers.get('Vary');
+  const id = `${getMethod(options)} ${url}`;
+
+  if (vary) {
+    varyHeaders[id] = vary
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(name => name);
+  } else {
+    delete varyHeaders[id];
+  }
+}
+
+export function defaultCacheKey(url, options) {
+  const method = getMethod(options);
+  const body = serializeBody(options && options.body);
+  const vary = varyHeaders[`${method} ${url}`] || [];
+
+  if (body === undefined || vary.indexOf('*') !== -1) {
+    // Not cacheable
+    return null;
+  }
+
+  // Headers the request does not set are left out, so `Vary: Accept-Encoding` (for example) does not change the key
+  const headers = vary
+    .map(name => [name, getHeader(options && options.headers, name)])
+    .filter(([name, value]) => value !== undefined);
+
+  if (method === 'GET' && body === '' && headers.length === 0) {
+    // Keep simple requests keyed by `url`, so `cache.remove(url)` still works
+    return url;
+  }
+
+  return stableStringify([method, url, body, headers]);
+}
+
+function headerEntries(headers) {
+  if (!headers) {
+    return [];
+  } else if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+    // `Headers` instance
+    const entries = [];
+    headers.forEach((value, key) => entries.push([key, value]));
+    return entries;
+  }
+
+  return Array.isArray(headers)
+    ? headers
+    : Object.keys(headers).map(key => [key, headers[key]]);
+}
+
+// Merge default request options with options for a single request (which take precedence).
+// Headers are merged by (case-insensitive) name and functions are evaluated when the request is sent
+export function mergeOptions(defaults, options) {
+  if (!defaults) {
+    return options;
+  } else if (!options) {
+    return defaults;
+  } else if (typeof defaults === 'function' || typeof options === 'function') {
+    const evaluate = value => (typeof value === 'function' ? value() : value);
+    return () => mergeOptions(evaluate(defaults), evaluate(options));
+  }
+
+  const merged = { ...defaults, ...options };
+
+  if (defaults.headers && options.headers) {
+    const overrides = headerEntries(options.headers);
+    const names = overrides.map(([key]) => key.toLowerCase());
+    merged.headers = headerEntries(defaults.headers)
+      .filter(([key]) => names.indexOf(key.toLowerCase()) === -1)
+      .concat(overrides)
+      .reduce((headers, [key, value]) => {
+        headers[key] = value;
+        return headers;
+      }, {});
+  }
+
+  return merged;
+}
+
+// Resolve a url relative to `baseUrl`, unless it is absolute (ex. `https://...` or `//...`)
+export function resolveUrl(baseUrl, url) {
+  if (!baseUrl || !url || /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url)) {
+    return url;
+  }
+
+  return `${baseUrl.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+}
+
+function resolveLink(url, baseUrl) {
+  if (
+    !baseUrl ||
+    typeof URL !== 'function' ||
+    /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url)
+  ) {
+    return url;
+  }
+
+  try {
+    return new URL(url, baseUrl).href;
+  } catch (e) {
+    // Relative `baseUrl`
+    return url;
+  }
+}
+
+// Decode a component of the query, keeping it as is if malformed (ex. a stray `%`)
+function decodeQueryComponent(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch (e) {
+    return value;
+  }
+}
+
+function parseQuery(url) {
+  const query = url.split('#')[0].split('?')[1];
+  if (!query) {
+    return {};
+  }
+
+  return query.split('&').reduce((params, pair) => {
+    // Values may contain `=` (ex. base64 cursors)
+    const index = pair.indexOf('=');
+    const name = decodeQueryComponent(
+      index === -1 ? pair : pair.slice(0, index)
+    );
+    if (name) {
+      params[name] =
+        index === -1 ? '' : decodeQueryComponent(pair.slice(index + 1));
+    }
+    return params;
+  }, {});
+}
+
+// Links of an RFC 5988 `Link` header (ex. `<https://api.example.com/items?page=2>; rel="next"`) by relation, each
+// with the `url`, its query `params`, and its attributes (ex. `{ url, rel: 'next', params: { page: '2' } }`).
+// Relative urls are resolved against `baseUrl` (ex. the url of the request) if given
+export function parseLinkHeader(header, baseUrl) {
+  const links = {};
+  if (!header) {
+    return links;
+  }
+
+  const linkPattern = /<([^>]*)>([^<]*)/g;
+  let match;
+  while ((match = linkPattern.exec(header))) {
+    const url = resolveLink(match[1].trim(), baseUrl);
+    const attributes = {};
+    const attributePattern = /;\s*([^\s=;,]+)\s*=\s*(?:"([^"]*)"|([^\s;,]*))/g;
+    let attribute;
+    while ((attribute = attributePattern.exec(match[2]))) {
+      attributes[attribute[1].toLowerCase()] =
+        attribute[2] !== undefined ? attribute[2] : attribute[3];
+    }
+
+    // A link may have several relations (ex. `rel="next last"`)
+    (attributes.rel || '')
+      .split(/\s+/)
+      .filter(Boolean)
+      .forEach(rel => {
+        links[rel] = { ...attributes, rel, url, params: parseQuery(url) };
+      });
+  }
+
+  return links;
+}
+
+// Links of the response's `Link` header (see `parseLinkHeader`)
+export function getLinks(response, url) {
+  return parseLinkHeader(
+    response && response.headers && typeof response.headers.get === 'function'
+      ? response.headers.get('Link')
+      : null,
+    url
+  );
+}